@@ -1,3 +1,27 @@
+// 由服务器在注入脚本时替换为本次会话的认证令牌，请勿手动修改
+const CONNECTION_TOKEN = "__PROXY_CONNECTION_TOKEN__";
+// 由服务器在注入脚本时替换为实际的 WebSocket 地址（可为 wss://）；
+// 手动粘贴脚本时未被替换，则回退到本机默认端口
+const WS_ENDPOINT = "__PROXY_WS_ENDPOINT__".startsWith("__")
+  ? "ws://127.0.0.1:9998"
+  : "__PROXY_WS_ENDPOINT__";
+
+// 由服务器在注入脚本时替换为当前登录的账号序号
+const INJECTED_ACCOUNT_INDEX = Number("__PROXY_ACCOUNT_INDEX__");
+const ACCOUNT_INDEX = Number.isInteger(INJECTED_ACCOUNT_INDEX)
+  ? INJECTED_ACCOUNT_INDEX
+  : null;
+// 与服务器握手使用的协议版本和脚本构建号
+const PROTOCOL_VERSION = 2;
+const SCRIPT_BUILD = "3.5.0";
+const CLIENT_FEATURES = [
+  "binary_chunks",
+  "cancellation",
+  "chunked_request_body",
+  "heartbeat",
+  "metrics",
+];
+
 const Logger = {
   enabled: true,
   output(...messages) {
@@ -14,16 +38,17 @@ const Logger = {
 };
 
 class ConnectionManager extends EventTarget {
-  // =================================================================
-  // ===                 *** 请修改此行   *** ===
-  constructor(endpoint = "ws://127.0.0.1:9998") {
-    // =================================================================
+  constructor(endpoint = WS_ENDPOINT) {
     super();
     this.endpoint = endpoint;
     this.socket = null;
     this.isConnected = false;
     this.reconnectDelay = 5000;
     this.reconnectAttempts = 0;
+    this.features = []; // 握手后由服务器确认启用的能力
+    this.rejected = false;
+    this.lastPingAt = 0;
+    this.heartbeatTimer = null;
   }
 
   async establish() {
@@ -31,19 +56,30 @@ class ConnectionManager extends EventTarget {
     Logger.output("正在连接到服务器:", this.endpoint);
     return new Promise((resolve, reject) => {
       try {
-        this.socket = new WebSocket(this.endpoint);
+        const socket = new WebSocket(this.endpoint);
+        this.socket = socket;
         this.socket.addEventListener("open", () => {
+          // 第一条消息必须是 hello 握手，否则服务器会直接断开连接
+          this.socket.send(
+            JSON.stringify({
+              event_type: "hello",
+              token: CONNECTION_TOKEN,
+              protocol_version: PROTOCOL_VERSION,
+              script_build: SCRIPT_BUILD,
+              account_index: ACCOUNT_INDEX,
+              features: CLIENT_FEATURES,
+            })
+          );
           this.isConnected = true;
           this.reconnectAttempts = 0;
           Logger.output("✅ 连接成功!");
           this.dispatchEvent(new CustomEvent("connected"));
           resolve();
         });
-        this.socket.addEventListener("close", () => {
-          this.isConnected = false;
-          Logger.output("❌ 连接已断开，准备重连...");
-          this.dispatchEvent(new CustomEvent("disconnected"));
-          this._scheduleReconnect();
+        this.socket.addEventListener("close", (event) => {
+          // 心跳超时时已主动放弃旧连接，它迟到的 close 事件不再处理
+          if (this.socket !== socket) return;
+          this._handleDisconnect(event.code, event.reason);
         });
         this.socket.addEventListener("error", (error) => {
           Logger.output(" WebSocket 连接错误:", error);
@@ -65,6 +101,45 @@ class ConnectionManager extends EventTarget {
     });
   }
 
+  _handleDisconnect(code, reason) {
+    this.isConnected = false;
+    this.features = [];
+    this.stopHeartbeat();
+    this.dispatchEvent(new CustomEvent("disconnected"));
+    if (code === 4001 || this.rejected) {
+      Logger.output(
+        `❌ 服务器拒绝了此连接 (${reason || "协议不兼容"})，已停止重连。`
+      );
+      return;
+    }
+    Logger.output("❌ 连接已断开，准备重连...");
+    this._scheduleReconnect();
+  }
+
+  // 服务器按固定间隔发送 ping；连续 maxMissed 个间隔都没有收到，说明连接已半开，主动断开重连
+  startHeartbeat(intervalMs, maxMissed) {
+    this.stopHeartbeat();
+    this.lastPingAt = Date.now();
+    this.heartbeatTimer = setInterval(() => {
+      if (Date.now() - this.lastPingAt <= intervalMs * maxMissed) return;
+      Logger.output("❌ 长时间未收到服务器心跳，主动断开并重连...");
+      const staleSocket = this.socket;
+      this.socket = null;
+      staleSocket.close();
+      this._handleDisconnect();
+    }, intervalMs);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  acknowledgePing(timestamp) {
+    this.lastPingAt = Date.now();
+    this.transmit({ event_type: "pong", timestamp: timestamp });
+  }
+
   transmit(data) {
     if (!this.isConnected || !this.socket) {
       Logger.output("无法发送数据：连接未建立");
@@ -222,6 +297,12 @@ class RequestProcessor {
       signal,
     };
 
+    if (requestSpec.body_bytes) {
+      // 二进制请求体（如 Files API 上传）原样发送，不做任何 JSON 处理
+      config.body = requestSpec.body_bytes;
+      return config;
+    }
+
     if (
       ["POST", "PUT", "PATCH"].includes(requestSpec.method) &&
       requestSpec.body
@@ -229,13 +310,24 @@ class RequestProcessor {
       try {
         let bodyObj = JSON.parse(requestSpec.body);
 
+        // 上传接口（upload/ 前缀）的元数据请求体原样转发，不做过滤和签名
+        if (requestSpec.path.replace(/^\//, "").startsWith("upload/")) {
+          config.body = requestSpec.body;
+          return config;
+        }
+
         // --- 模块1：智能过滤 (保留) ---
         const isImageModel =
           requestSpec.path.includes("-image-") ||
           requestSpec.path.includes("imagen");
 
         if (isImageModel) {
-          const incompatibleKeys = ["tool_config", "toolChoice", "tools"];
+          const incompatibleKeys = [
+            "tool_config",
+            "toolConfig",
+            "toolChoice",
+            "tools",
+          ];
           incompatibleKeys.forEach((key) => {
             if (bodyObj.hasOwnProperty(key)) delete bodyObj[key];
           });
@@ -303,9 +395,55 @@ class ProxySystem extends EventTarget {
     super();
     this.connectionManager = new ConnectionManager(websocketEndpoint);
     this.requestProcessor = new RequestProcessor();
+    this.pendingBodies = new Map();
+    this.metrics = {
+      requests_total: 0,
+      requests_failed: 0,
+      requests_cancelled: 0,
+      bytes_received: 0,
+    };
+    this.metricsTimer = null;
     this._setupEventHandlers();
   }
 
+  _startMetricsReporting() {
+    clearInterval(this.metricsTimer);
+    if (!this.connectionManager.features.includes("metrics")) return;
+    this.metricsTimer = setInterval(() => {
+      this.connectionManager.transmit({
+        event_type: "metrics",
+        metrics: {
+          ...this.metrics,
+          active_requests: this.requestProcessor.activeOperations.size,
+        },
+      });
+    }, 30000);
+  }
+
+  _decodeBase64(base64) {
+    return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  }
+
+  async _receiveBodyChunk(chunkSpec) {
+    const pending = this.pendingBodies.get(chunkSpec.request_id);
+    if (!pending) return;
+    pending.chunks[chunkSpec.index] = this._decodeBase64(chunkSpec.data);
+    pending.received++;
+    if (pending.received < pending.chunks.length) return;
+
+    this.pendingBodies.delete(chunkSpec.request_id);
+    const totalLength = pending.chunks.reduce((sum, c) => sum + c.length, 0);
+    const body = new Uint8Array(totalLength);
+    let offset = 0;
+    for (const chunk of pending.chunks) {
+      body.set(chunk, offset);
+      offset += chunk.length;
+    }
+    Logger.output(`请求体已接收完整 (${totalLength} 字节)，开始执行请求`);
+    pending.spec.body_bytes = body;
+    await this._processProxyRequest(pending.spec);
+  }
+
   async initialize() {
     Logger.output("系统初始化中...");
     try {
@@ -323,9 +461,11 @@ class ProxySystem extends EventTarget {
     this.connectionManager.addEventListener("message", (e) =>
       this._handleIncomingMessage(e.detail)
     );
-    this.connectionManager.addEventListener("disconnected", () =>
-      this.requestProcessor.cancelAllOperations()
-    );
+    this.connectionManager.addEventListener("disconnected", () => {
+      this.requestProcessor.cancelAllOperations();
+      this.pendingBodies.clear();
+      clearInterval(this.metricsTimer);
+    });
   }
 
   async _handleIncomingMessage(messageData) {
@@ -339,11 +479,56 @@ class ProxySystem extends EventTarget {
           // 如果是取消指令，则调用取消方法
           this.requestProcessor.cancelOperation(requestSpec.request_id);
           break;
+        case "welcome":
+          if (!requestSpec.accepted) {
+            this.connectionManager.rejected = true;
+            Logger.output(`❌ 握手被拒绝: ${requestSpec.reason}`);
+            break;
+          }
+          this.connectionManager.features = requestSpec.features || [];
+          Logger.output(
+            `握手完成，连接 #${
+              requestSpec.connection_id
+            }，已启用能力: ${this.connectionManager.features.join(", ")}`
+          );
+          this._startMetricsReporting();
+          if (requestSpec.heartbeat) {
+            this.connectionManager.startHeartbeat(
+              requestSpec.heartbeat.interval_ms,
+              requestSpec.heartbeat.max_missed
+            );
+          }
+          break;
+        case "ping":
+          this.connectionManager.acknowledgePing(requestSpec.timestamp);
+          break;
+        case "request_body_chunk":
+          // 最后一块到达时会执行请求，出错需经下方 catch 回报给服务器，否则请求会一直挂起
+          await this._receiveBodyChunk(requestSpec);
+          break;
+        case "fetch_media":
+          Logger.output(`收到媒体下载请求: ${requestSpec.url}`);
+          await this._processMediaFetch(requestSpec);
+          break;
         default:
           // 默认情况，认为是代理请求
           // [最终优化] 直接显示路径，不再显示模式，因为路径本身已足够清晰
           Logger.output(`收到请求: ${requestSpec.method} ${requestSpec.path}`);
 
+          if (requestSpec.body_chunks > 0) {
+            // 大请求体随后分块到达，收齐后再执行
+            this.pendingBodies.set(requestSpec.request_id, {
+              spec: requestSpec,
+              chunks: new Array(requestSpec.body_chunks),
+              received: 0,
+            });
+            break;
+          }
+          if (requestSpec.body_base64) {
+            requestSpec.body_bytes = this._decodeBase64(
+              requestSpec.body_base64
+            );
+          }
           await this._processProxyRequest(requestSpec);
           break;
       }
@@ -365,6 +550,7 @@ class ProxySystem extends EventTarget {
     const operationId = requestSpec.request_id;
     const mode = requestSpec.streaming_mode || "fake";
     Logger.output(`浏览器收到请求`);
+    this.metrics.requests_total++;
 
     try {
       if (this.requestProcessor.cancelledOperations.has(operationId)) {
@@ -379,15 +565,32 @@ class ProxySystem extends EventTarget {
         throw new DOMException("The user aborted a request.", "AbortError");
       }
 
-      this._transmitHeaders(response, operationId);
+      // 文本响应按 UTF-8 解码转发；其余内容（文件、音频等）在服务器支持时以 base64 传输，避免字节被破坏
+      const encoding =
+        this._isTextContentType(response.headers.get("content-type")) ||
+        !this.connectionManager.features.includes("binary_chunks")
+          ? "utf-8"
+          : "base64";
+      this._transmitHeaders(response, operationId, encoding);
       const reader = response.body.getReader();
       const textDecoder = new TextDecoder();
       let fullBody = "";
+      const binaryChunks = [];
 
       // [核心修正] 在循环内部正确分发流式和非流式数据
       while (true) {
         const { done, value } = await reader.read();
         if (done) break;
+        this.metrics.bytes_received += value.length;
+
+        if (encoding === "base64") {
+          if (mode === "real") {
+            this._transmitChunk(this._encodeBase64(value), operationId);
+          } else {
+            binaryChunks.push(value);
+          }
+          continue;
+        }
 
         const chunk = textDecoder.decode(value, { stream: true });
 
@@ -405,14 +608,27 @@ class ProxySystem extends EventTarget {
 
       if (mode === "fake") {
         // 非流式模式下，在循环结束后，转发拼接好的完整响应体
-        this._transmitChunk(fullBody, operationId);
+        if (encoding === "base64") {
+          const totalLength = binaryChunks.reduce((n, c) => n + c.length, 0);
+          const body = new Uint8Array(totalLength);
+          let offset = 0;
+          for (const chunk of binaryChunks) {
+            body.set(chunk, offset);
+            offset += chunk.length;
+          }
+          this._transmitChunk(this._encodeBase64(body), operationId);
+        } else {
+          this._transmitChunk(fullBody, operationId);
+        }
       }
 
       this._transmitStreamEnd(operationId);
     } catch (error) {
       if (error.name === "AbortError") {
+        this.metrics.requests_cancelled++;
         Logger.output(`[诊断] 操作 #${operationId} 已被用户中止。`);
       } else {
+        this.metrics.requests_failed++;
         Logger.output(`❌ 请求处理失败: ${error.message}`);
       }
       this._sendErrorResponse(error, operationId);
@@ -422,7 +638,99 @@ class ProxySystem extends EventTarget {
     }
   }
 
-  _transmitHeaders(response, operationId) {
+  // 以浏览器身份下载远程媒体，结果以 { mime_type, data(base64) } 的 JSON 返回。
+  // 服务器只校验了初始地址，而页面内无法读取重定向目标，所以直接拒绝重定向；
+  // 响应体边读边计数，超过 max_bytes 立即中止，不会先把整个文件读进内存
+  async _processMediaFetch(requestSpec) {
+    const operationId = requestSpec.request_id;
+    const maxBytes = requestSpec.max_bytes;
+    const controller = new AbortController();
+    const tooLarge = () => {
+      controller.abort();
+      const error = new Error(`媒体大小超出上限 (${maxBytes} 字节)`);
+      error.status = 413;
+      return error;
+    };
+
+    let response;
+    try {
+      response = await fetch(requestSpec.url, {
+        redirect: "error",
+        signal: controller.signal,
+      });
+    } catch (error) {
+      throw new Error(
+        `媒体下载失败 (网络错误或地址发生了重定向): ${error.message}`
+      );
+    }
+    if (!response.ok) {
+      const error = new Error(
+        `媒体下载失败: ${response.status} ${response.statusText}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+    if (maxBytes && Number(response.headers.get("content-length")) > maxBytes) {
+      throw tooLarge();
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      received += value.length;
+      if (maxBytes && received > maxBytes) throw tooLarge();
+      chunks.push(value);
+    }
+    const body = new Uint8Array(received);
+    let offset = 0;
+    for (const chunk of chunks) {
+      body.set(chunk, offset);
+      offset += chunk.length;
+    }
+
+    this._transmitHeaders(response, operationId);
+    this._transmitChunk(
+      JSON.stringify({
+        mime_type: (response.headers.get("content-type") || "")
+          .split(";")[0]
+          .trim(),
+        data: this._encodeBase64(body),
+      }),
+      operationId
+    );
+    this._transmitStreamEnd(operationId);
+  }
+
+  _isTextContentType(contentType) {
+    // 没有内容类型时按文本处理，与原有行为保持一致
+    if (!contentType) return true;
+    const type = contentType.split(";")[0].trim().toLowerCase();
+    return (
+      type.startsWith("text/") ||
+      type.endsWith("+json") ||
+      type.endsWith("+xml") ||
+      [
+        "application/json",
+        "application/x-ndjson",
+        "application/javascript",
+        "application/xml",
+        "application/x-www-form-urlencoded",
+      ].includes(type)
+    );
+  }
+
+  _encodeBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  _transmitHeaders(response, operationId, encoding = "utf-8") {
     const headerMap = {};
     response.headers.forEach((v, k) => {
       headerMap[k] = v;
@@ -432,6 +740,7 @@ class ProxySystem extends EventTarget {
       event_type: "response_headers",
       status: response.status,
       headers: headerMap,
+      encoding: encoding,
     });
   }
 
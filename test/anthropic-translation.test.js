@@ -0,0 +1,391 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ConnectionRegistry } = require("../unified-server.js");
+const {
+  silentLogger,
+  createHandler,
+  connectFakeBrowser,
+  startServer,
+} = require("./helpers");
+
+function parseEvents(output) {
+  return output
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const [eventLine, dataLine] = block.split("\n");
+      return {
+        event: eventLine.substring("event: ".length),
+        data: JSON.parse(dataLine.substring("data: ".length)),
+      };
+    });
+}
+
+test("messages, tool use and thinking map to a Gemini request", () => {
+  const googleBody = createHandler()._translateAnthropicToGoogle({
+    system: [{ type: "text", text: "Be brief." }],
+    max_tokens: 256,
+    stop_sequences: ["END"],
+    thinking: { type: "enabled", budget_tokens: 1024 },
+    messages: [
+      { role: "user", content: "Weather in Paris?" },
+      {
+        role: "assistant",
+        content: [
+          { type: "thinking", thinking: "…", signature: "sig" },
+          {
+            type: "tool_use",
+            id: "toolu_1",
+            name: "get_weather",
+            input: { city: "Paris" },
+          },
+        ],
+      },
+      {
+        role: "user",
+        content: [
+          {
+            type: "tool_result",
+            tool_use_id: "toolu_1",
+            content: "sunny",
+            is_error: true,
+          },
+        ],
+      },
+    ],
+  });
+
+  assert.deepEqual(googleBody.systemInstruction, {
+    parts: [{ text: "Be brief." }],
+  });
+  assert.deepEqual(googleBody.contents[1], {
+    role: "model",
+    parts: [{ functionCall: { name: "get_weather", args: { city: "Paris" } } }],
+  });
+  const functionResponse = googleBody.contents[2].parts[0].functionResponse;
+  assert.equal(functionResponse.name, "get_weather");
+  assert.ok(functionResponse.response.error);
+  assert.equal(googleBody.generationConfig.maxOutputTokens, 256);
+  // 停止序列在本地应用，不发给 Gemini
+  assert.equal(googleBody.generationConfig.stopSequences, undefined);
+  assert.deepEqual(googleBody.generationConfig.thinkingConfig, {
+    thinkingBudget: 1024,
+    includeThoughts: true,
+  });
+});
+
+test("tools without arguments omit parameters", () => {
+  const googleBody = createHandler()._translateAnthropicToGoogle({
+    messages: [{ role: "user", content: "What time is it?" }],
+    tools: [
+      {
+        name: "get_time",
+        description: "Current time",
+        input_schema: { type: "object", properties: {} },
+      },
+      {
+        name: "get_weather",
+        input_schema: {
+          type: "object",
+          properties: { city: { type: "string" } },
+        },
+      },
+    ],
+  });
+  const [getTime, getWeather] = googleBody.tools[0].functionDeclarations;
+  assert.deepEqual(getTime, { name: "get_time", description: "Current time" });
+  assert.deepEqual(getWeather.parameters, {
+    type: "OBJECT",
+    properties: { city: { type: "STRING" } },
+  });
+});
+
+test("unknown tool_use_id and unsupported blocks are rejected", () => {
+  const handler = createHandler();
+  assert.throws(
+    () =>
+      handler._translateAnthropicToGoogle({
+        messages: [
+          {
+            role: "user",
+            content: [{ type: "tool_result", tool_use_id: "x", content: "" }],
+          },
+        ],
+      }),
+    /unknown tool_use_id/
+  );
+  assert.throws(
+    () =>
+      handler._translateAnthropicToGoogle({
+        messages: [{ role: "user", content: [{ type: "video" }] }],
+      }),
+    /Unsupported content block type/
+  );
+});
+
+test("Gemini response maps to content blocks and stop_reason", () => {
+  const message = createHandler()._translateGoogleToAnthropic(
+    {
+      candidates: [
+        {
+          content: {
+            parts: [
+              { text: "Let me check. ", thought: true },
+              { text: "Calling " },
+              { text: "the tool." },
+              { functionCall: { name: "get_weather", args: { city: "Rome" } } },
+            ],
+          },
+          finishReason: "STOP",
+        },
+      ],
+      usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 4 },
+    },
+    "req",
+    "claude-proxy"
+  );
+  assert.equal(message.id, "msg_req");
+  assert.deepEqual(
+    message.content.map((block) => block.type),
+    ["thinking", "text", "tool_use"]
+  );
+  assert.equal(message.content[0].signature, undefined);
+  assert.equal(message.content[1].text, "Calling the tool.");
+  assert.deepEqual(message.content[2].input, { city: "Rome" });
+  assert.equal(message.stop_reason, "tool_use");
+  assert.deepEqual(message.usage, { input_tokens: 7, output_tokens: 4 });
+});
+
+test("thinking blocks carry Gemini's thought signature", () => {
+  const message = createHandler()._translateGoogleToAnthropic(
+    {
+      candidates: [
+        {
+          content: {
+            parts: [
+              { text: "Step one. ", thought: true },
+              { text: "Step two.", thought: true, thoughtSignature: "c2ln" },
+              { text: "Done." },
+            ],
+          },
+          finishReason: "STOP",
+        },
+      ],
+    },
+    "req",
+    "claude-proxy"
+  );
+  assert.deepEqual(message.content[0], {
+    type: "thinking",
+    thinking: "Step one. Step two.",
+    signature: "c2ln",
+  });
+});
+
+test("a matched stop sequence truncates the response", () => {
+  const handler = createHandler();
+  const translate = (parts, finishReason = "MAX_TOKENS") =>
+    handler._translateGoogleToAnthropic(
+      { candidates: [{ content: { parts: parts }, finishReason }] },
+      "req",
+      "claude-proxy",
+      ["\n\nHuman:", "END"]
+    );
+
+  const message = translate([
+    { text: "Answer: 42", thought: false },
+    { text: " END and more\n\nHuman: hi" },
+    { functionCall: { name: "f", args: {} } },
+  ]);
+  assert.deepEqual(message.content, [{ type: "text", text: "Answer: 42 " }]);
+  assert.equal(message.stop_reason, "stop_sequence");
+  assert.equal(message.stop_sequence, "END");
+
+  // 停止序列位于开头时不留下空文本块
+  assert.deepEqual(translate([{ text: "END" }]).content, []);
+
+  const unmatched = translate([{ text: "No stop here" }], "STOP");
+  assert.equal(unmatched.stop_reason, "end_turn");
+  assert.equal(unmatched.stop_sequence, null);
+});
+
+test("stop reasons prefer truncation and refusal over tool_use", () => {
+  const handler = createHandler();
+  assert.equal(
+    handler._translateGoogleFinishReasonToAnthropic("MAX_TOKENS", true),
+    "max_tokens"
+  );
+  assert.equal(
+    handler._translateGoogleFinishReasonToAnthropic("SAFETY", true),
+    "refusal"
+  );
+  assert.equal(
+    handler._translateGoogleFinishReasonToAnthropic("STOP", false),
+    "end_turn"
+  );
+});
+
+test("stream opens a new content block whenever the block type changes", () => {
+  const handler = createHandler();
+  const streamState = handler._createAnthropicStreamState("req", "model");
+  const events = parseEvents(
+    handler._translateGoogleToAnthropicStream(
+      JSON.stringify({
+        candidates: [
+          {
+            content: {
+              parts: [
+                { text: "Hmm", thought: true },
+                { text: "Hi" },
+                { functionCall: { name: "f", args: { a: 1 } } },
+              ],
+            },
+            finishReason: "MAX_TOKENS",
+          },
+        ],
+        usageMetadata: { promptTokenCount: 3 },
+      }),
+      streamState
+    )
+  );
+
+  assert.equal(events[0].event, "message_start");
+  assert.equal(events[0].data.message.usage.input_tokens, 3);
+  assert.deepEqual(
+    events
+      .filter((e) => e.event === "content_block_start")
+      .map((e) => [e.data.index, e.data.content_block.type]),
+    [
+      [0, "thinking"],
+      [1, "text"],
+      [2, "tool_use"],
+    ]
+  );
+  assert.equal(
+    events[events.length - 1].data.delta.partial_json,
+    JSON.stringify({ a: 1 })
+  );
+  assert.equal(streamState.stopReason, "max_tokens");
+});
+
+test("stream holds back text until it cannot start a stop sequence", () => {
+  const handler = createHandler();
+  const streamState = handler._createAnthropicStreamState("req", "model", [
+    "STOP",
+  ]);
+  const chunk = (parts) =>
+    parseEvents(
+      handler._translateGoogleToAnthropicStream(
+        JSON.stringify({ candidates: [{ content: { parts: parts } }] }),
+        streamState
+      )
+    );
+  const textDeltas = (events) =>
+    events
+      .filter((e) => e.data.delta?.type === "text_delta")
+      .map((e) => e.data.delta.text);
+
+  assert.deepEqual(textDeltas(chunk([{ text: "Hello ST" }])), ["Hello"]);
+  assert.deepEqual(textDeltas(chunk([{ text: "OP world" }])), [" "]);
+  assert.equal(streamState.stopSequence, "STOP");
+  assert.deepEqual(chunk([{ text: "ignored" }]), []);
+
+  const finish = parseEvents(handler._finishAnthropicStream(streamState));
+  const messageDelta = finish.find((e) => e.event === "message_delta");
+  assert.deepEqual(messageDelta.data.delta, {
+    stop_reason: "stop_sequence",
+    stop_sequence: "STOP",
+  });
+});
+
+test("held back text is flushed when the stream ends without a match", () => {
+  const handler = createHandler();
+  const streamState = handler._createAnthropicStreamState("req", "model", [
+    "STOP",
+  ]);
+  const events = parseEvents(
+    handler._translateGoogleToAnthropicStream(
+      JSON.stringify({
+        candidates: [
+          {
+            content: {
+              parts: [
+                { text: "Think", thought: true, thoughtSignature: "c2ln" },
+                { text: "Hi ST" },
+              ],
+            },
+            finishReason: "STOP",
+          },
+        ],
+      }),
+      streamState
+    ) + handler._finishAnthropicStream(streamState)
+  );
+  assert.deepEqual(
+    events
+      .filter((e) => e.event === "content_block_delta")
+      .map((e) => e.data.delta),
+    [
+      { type: "thinking_delta", thinking: "Think" },
+      { type: "signature_delta", signature: "c2ln" },
+      { type: "text_delta", text: "Hi" },
+      { type: "text_delta", text: " ST" },
+    ]
+  );
+  assert.equal(
+    events.find((e) => e.event === "message_delta").data.delta.stop_reason,
+    "end_turn"
+  );
+});
+
+test("a stop sequence ends the stream and cancels the browser request", async () => {
+  const registry = new ConnectionRegistry(silentLogger);
+  // 上游不知道停止序列，会一直生成；浏览器在收到取消指令前不结束流
+  const browser = connectFakeBrowser(
+    registry,
+    (message) =>
+      message.event_type === "cancel_request"
+        ? []
+        : [
+            { event_type: "response_headers", status: 200, headers: {} },
+            {
+              event_type: "chunk",
+              data: `data: ${JSON.stringify({
+                candidates: [{ content: { parts: [{ text: "1, 2, 3" }] } }],
+              })}\n\n`,
+            },
+          ],
+    { features: ["cancellation"] }
+  );
+  const server = await startServer(createHandler({}, registry), {
+    "/v1/messages": "processAnthropicRequest",
+  });
+  try {
+    const response = await fetch(`${server.url}/v1/messages`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model: "gemini-2.5-flash",
+        max_tokens: 64,
+        stream: true,
+        stop_sequences: [", 3"],
+        messages: [{ role: "user", content: "Count" }],
+      }),
+    });
+    const events = parseEvents(await response.text());
+    const text = events
+      .filter((e) => e.data.delta?.type === "text_delta")
+      .map((e) => e.data.delta.text)
+      .join("");
+    assert.equal(text, "1, 2");
+    assert.equal(events[events.length - 1].event, "message_stop");
+    const requestBody = JSON.parse(browser.received[0].body);
+    assert.equal(requestBody.generationConfig.stopSequences, undefined);
+    assert.deepEqual(browser.received[1], {
+      event_type: "cancel_request",
+      request_id: browser.received[0].request_id,
+    });
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,153 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ConnectionRegistry } = require("../unified-server.js");
+const {
+  silentLogger,
+  createHandler,
+  connectFakeBrowser,
+  startServer,
+} = require("./helpers");
+
+const firstChunk = {
+  candidates: [{ content: { parts: [{ text: "Once upon" }] } }],
+};
+
+// 浏览器只发出响应头和第一个数据块，之后一直不结束，直到收到取消指令
+function hangingBrowser(registry) {
+  return connectFakeBrowser(
+    registry,
+    (message) => {
+      if (message.event_type === "cancel_request") {
+        return [{ event_type: "error", status: 504, message: "aborted" }];
+      }
+      if (message.query_params?.alt !== "sse") return [];
+      return [
+        { event_type: "response_headers", status: 200, headers: {} },
+        {
+          event_type: "chunk",
+          data: `data: ${JSON.stringify(firstChunk)}\n\n`,
+        },
+      ];
+    },
+    { features: ["cancellation"] }
+  );
+}
+
+async function waitFor(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.ok(condition(), "condition not met in time");
+}
+
+// 发出请求，流式时读到第一个数据块、非流式时等浏览器收到请求后断开，
+// 返回浏览器收到的消息类型和断开后服务器端的状态
+async function disconnectMidRequest(routePath, method, body) {
+  const registry = new ConnectionRegistry(silentLogger);
+  const browser = hangingBrowser(registry);
+  const handler = createHandler(
+    { failureThreshold: 1, immediateSwitchStatusCodes: [] },
+    registry
+  );
+  const server = await startServer(handler, { [routePath]: method });
+  const controller = new AbortController();
+  try {
+    const response = fetch(`${server.url}${routePath}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    let pending = response;
+    if (body.stream === false) {
+      await waitFor(() => browser.received.length === 1);
+    } else {
+      const reader = (await response).body.getReader();
+      await reader.read();
+      pending = reader.read();
+    }
+    controller.abort();
+    await assert.rejects(pending, { name: "AbortError" });
+    await waitFor(() => registry.messageQueues.size === 0);
+    // 让浏览器回报的中止错误有机会到达服务器
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    return {
+      received: browser.received.map((m) => m.event_type || "request"),
+      inFlight: registry.getConnectionInfo(browser).inFlight,
+      failureCount: handler.failureCount,
+    };
+  } finally {
+    await server.close();
+  }
+}
+
+const cancelled = {
+  received: ["request", "cancel_request"],
+  inFlight: 0,
+  failureCount: 0,
+};
+
+test("Anthropic requests are cancelled when the client disconnects", async () => {
+  const body = {
+    model: "gemini-2.5-flash",
+    max_tokens: 64,
+    messages: [{ role: "user", content: "Tell a story" }],
+  };
+  assert.deepEqual(
+    await disconnectMidRequest("/v1/messages", "processAnthropicRequest", {
+      ...body,
+      stream: true,
+    }),
+    cancelled
+  );
+  assert.deepEqual(
+    await disconnectMidRequest("/v1/messages", "processAnthropicRequest", {
+      ...body,
+      stream: false,
+    }),
+    cancelled
+  );
+});
+
+test("Responses requests are cancelled when the client disconnects", async () => {
+  for (const stream of [true, false]) {
+    assert.deepEqual(
+      await disconnectMidRequest("/v1/responses", "processResponsesRequest", {
+        model: "gemini-2.5-flash",
+        input: "Tell a story",
+        stream: stream,
+      }),
+      cancelled
+    );
+  }
+});
+
+test("completions stop generating the remaining prompts after a disconnect", async () => {
+  for (const stream of [true, false]) {
+    assert.deepEqual(
+      await disconnectMidRequest(
+        "/v1/completions",
+        "processOpenAICompletionRequest",
+        {
+          model: "gemini-2.5-flash",
+          prompt: ["Once", "Twice"],
+          stream: stream,
+        }
+      ),
+      cancelled
+    );
+  }
+});
+
+test("Ollama requests are cancelled when the client disconnects", async () => {
+  for (const stream of [true, false]) {
+    assert.deepEqual(
+      await disconnectMidRequest(
+        "/api/generate",
+        ["processOllamaRequest", "generate"],
+        { model: "gemini-2.5-flash", prompt: "Tell a story", stream: stream }
+      ),
+      cancelled
+    );
+  }
+});
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ConnectionRegistry } = require("../unified-server.js");
+const {
+  silentLogger,
+  createHandler,
+  connectFakeBrowser,
+} = require("./helpers");
+
+function inFlight(registry, browsers) {
+  return browsers.map((ws) => registry.getConnectionInfo(ws).inFlight);
+}
+
+test("least_inflight sends new requests to the least busy connection", () => {
+  const registry = new ConnectionRegistry(silentLogger);
+  const browsers = [1, 2, 3].map(() => connectFakeBrowser(registry));
+  const handler = createHandler({}, registry);
+
+  for (const requestId of ["a", "b", "c"]) {
+    handler._forwardRequest({ request_id: requestId });
+  }
+  assert.deepEqual(inFlight(registry, browsers), [1, 1, 1]);
+
+  const idle = registry.getRequestOwner("b");
+  registry.releaseRequest("b");
+  handler._forwardRequest({ request_id: "d" });
+  assert.equal(registry.getRequestOwner("d"), idle);
+  assert.deepEqual(inFlight(registry, browsers), [1, 1, 1]);
+});
+
+test("unhealthy connections are skipped", () => {
+  const registry = new ConnectionRegistry(silentLogger);
+  const [busy, stuck] = [
+    connectFakeBrowser(registry),
+    connectFakeBrowser(registry),
+  ];
+  registry.getConnectionInfo(stuck).healthy = false;
+  registry.assignRequest("a", busy);
+  assert.equal(registry.selectConnection(), busy);
+});
+
+test("round_robin rotates regardless of load", () => {
+  const registry = new ConnectionRegistry(silentLogger, {
+    routingStrategy: "round_robin",
+  });
+  const browsers = [1, 2].map(() => connectFakeBrowser(registry));
+  registry.assignRequest("a", browsers[1]);
+  registry.assignRequest("b", browsers[1]);
+  const picks = [1, 2, 3, 4].map(() => registry.selectConnection());
+  assert.deepEqual(picks, [...browsers, ...browsers]);
+});
+
+test("a retry releases the previous connection before taking a new one", () => {
+  const registry = new ConnectionRegistry(silentLogger);
+  const browsers = [1, 2].map(() => connectFakeBrowser(registry));
+  const handler = createHandler({}, registry);
+
+  handler._forwardRequest({ request_id: "r" });
+  const first = registry.getRequestOwner("r");
+  handler._forwardRequest({ request_id: "r" });
+  const second = registry.getRequestOwner("r");
+  assert.notEqual(first, second);
+  assert.equal(registry.getConnectionInfo(first).inFlight, 0);
+  assert.equal(registry.getConnectionInfo(second).inFlight, 1);
+
+  registry.removeMessageQueue("r");
+  assert.deepEqual(inFlight(registry, browsers), [0, 0]);
+  assert.equal(registry.getRequestOwner("r"), null);
+  // 重复释放不会把计数减成负数
+  registry.releaseRequest("r");
+  assert.deepEqual(inFlight(registry, browsers), [0, 0]);
+});
+
+test("cancel instructions go only to the connection that owns the request", () => {
+  const registry = new ConnectionRegistry(silentLogger);
+  const features = { features: ["cancellation"] };
+  const browsers = [
+    connectFakeBrowser(registry, () => [], features),
+    connectFakeBrowser(registry, () => [], features),
+  ];
+  const handler = createHandler({}, registry);
+
+  handler._forwardRequest({ request_id: "a" });
+  handler._forwardRequest({ request_id: "b" });
+  const owner = registry.getRequestOwner("b");
+  const other = browsers.find((ws) => ws !== owner);
+  handler._cancelBrowserRequest("b");
+
+  assert.deepEqual(owner.received[owner.received.length - 1], {
+    event_type: "cancel_request",
+    request_id: "b",
+  });
+  assert.ok(
+    other.received.every((message) => message.event_type !== "cancel_request")
+  );
+});
+
+test("requests on a dropped connection fail while others stay online", async () => {
+  const registry = new ConnectionRegistry(silentLogger);
+  const [dropped, survivor] = [
+    connectFakeBrowser(registry),
+    connectFakeBrowser(registry),
+  ];
+  const queue = registry.createMessageQueue("a");
+  registry.assignRequest("a", dropped);
+  registry._removeConnection(dropped);
+
+  await assert.rejects(queue.dequeue(), /closed/);
+  assert.equal(registry.getRequestOwner("a"), null);
+  assert.equal(registry.selectConnection(), survivor);
+});
@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createHandler } = require("./helpers");
+
+const policyConfig = {
+  generationPolicy: {
+    generationConfig: { temperature: 0.5, maxOutputTokens: 1024 },
+    safetySettings: { HARM_CATEGORY_HARASSMENT: "BLOCK_LOW_AND_ABOVE" },
+  },
+  modelPolicies: {
+    "gemini-2.5-pro": {
+      generationConfig: { maxOutputTokens: 4096 },
+      allowOverride: ["maxOutputTokens"],
+    },
+  },
+  apiKeyPolicies: {
+    "locked-key": { generationConfig: { topK: 20 }, allowOverride: false },
+  },
+  modelAliases: { pro: "gemini-2.5-pro" },
+};
+
+function applyPolicy(generationConfig, model, apiKey, safetySettings) {
+  const googleRequest = { generationConfig: { ...generationConfig } };
+  if (safetySettings) googleRequest.safetySettings = safetySettings;
+  return createHandler(policyConfig)._applyGenerationPolicy(
+    googleRequest,
+    model,
+    apiKey
+  );
+}
+
+function safetyThreshold(googleRequest, category) {
+  return googleRequest.safetySettings.find((s) => s.category === category)
+    .threshold;
+}
+
+test("global, model and API key layers merge with the most specific winning", () => {
+  const policy = createHandler(policyConfig)._resolveGenerationPolicy(
+    "gemini-2.5-pro",
+    "locked-key"
+  );
+  assert.deepEqual(policy.generationConfig, {
+    temperature: 0.5,
+    maxOutputTokens: 4096,
+    topK: 20,
+  });
+  assert.equal(policy.allowOverride, false);
+  assert.equal(
+    policy.safetySettings.HARM_CATEGORY_HARASSMENT,
+    "BLOCK_LOW_AND_ABOVE"
+  );
+  assert.equal(policy.safetySettings.HARM_CATEGORY_HATE_SPEECH, "BLOCK_NONE");
+  assert.deepEqual([...policy.safetyCategories], ["HARM_CATEGORY_HARASSMENT"]);
+});
+
+test("policy values fill in fields the request leaves unset", () => {
+  const googleRequest = applyPolicy({ topP: 0.9 }, "pro");
+  assert.deepEqual(googleRequest.generationConfig, {
+    topP: 0.9,
+    temperature: 0.5,
+    maxOutputTokens: 4096,
+  });
+  assert.equal(
+    safetyThreshold(googleRequest, "HARM_CATEGORY_HARASSMENT"),
+    "BLOCK_LOW_AND_ABOVE"
+  );
+});
+
+test("allowOverride lists the only fields a request may change", () => {
+  const googleRequest = applyPolicy({ maxOutputTokens: 100 }, "pro");
+  assert.equal(googleRequest.generationConfig.maxOutputTokens, 100);
+  assert.throws(
+    () => applyPolicy({ temperature: 1 }, "pro"),
+    (error) =>
+      error.status === 400 &&
+      /does not allow overriding: temperature$/.test(error.message)
+  );
+});
+
+test("locked policies reject only the fields they set", () => {
+  // topP 和 seed 不在任何层级的策略里，不受 allowOverride: false 限制
+  const googleRequest = applyPolicy(
+    { topP: 0.8, seed: 7, topK: 20 },
+    "gemini-2.5-flash",
+    "locked-key"
+  );
+  assert.equal(googleRequest.generationConfig.topP, 0.8);
+  assert.equal(googleRequest.generationConfig.seed, 7);
+  assert.throws(
+    () =>
+      applyPolicy(
+        { topK: 40, temperature: 0.9 },
+        "gemini-2.5-flash",
+        "locked-key"
+      ),
+    (error) =>
+      error.status === 400 &&
+      /does not allow overriding: temperature, topK$/.test(error.message)
+  );
+});
+
+test("locked policies reject changes to configured safety categories only", () => {
+  const googleRequest = applyPolicy({}, "gemini-2.5-flash", "locked-key", [
+    { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_ONLY_HIGH" },
+  ]);
+  assert.equal(
+    safetyThreshold(googleRequest, "HARM_CATEGORY_HATE_SPEECH"),
+    "BLOCK_ONLY_HIGH"
+  );
+  assert.throws(
+    () =>
+      applyPolicy({}, "gemini-2.5-flash", "locked-key", [
+        { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
+      ]),
+    /does not allow overriding: safetySettings/
+  );
+});
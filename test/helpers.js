@@ -0,0 +1,104 @@
+const http = require("http");
+const express = require("express");
+const { RequestHandler } = require("../unified-server.js");
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// 只测试翻译与路由逻辑时不需要真实的服务器、浏览器和账号来源
+function createHandler(config = {}, connectionRegistry = null) {
+  return new RequestHandler(
+    null,
+    connectionRegistry,
+    silentLogger,
+    {},
+    config,
+    {}
+  );
+}
+
+// 模拟一个已完成握手的浏览器客户端：每收到一条请求就调用 respond(message)，
+// 返回的消息在下一轮事件循环中依次回送给服务器 (request_id 自动补上)
+function connectFakeBrowser(registry, respond = () => [], clientInfo = {}) {
+  const ws = {
+    received: [],
+    on() {},
+    terminate() {},
+    send(data) {
+      const message = JSON.parse(data);
+      ws.received.push(message);
+      const replies = respond(message) || [];
+      setImmediate(() => {
+        for (const reply of replies) {
+          registry._handleIncomingMessage(
+            JSON.stringify({ request_id: message.request_id, ...reply }),
+            ws
+          );
+        }
+      });
+    },
+  };
+  registry.addConnection(ws, { address: "test", ...clientInfo });
+  return ws;
+}
+
+// 浏览器转发的一次成功 Gemini 响应：流式请求按 SSE 分块，非流式为完整 JSON
+function geminiReply(message, googleResponses) {
+  const responses = [].concat(googleResponses);
+  const chunks =
+    message.query_params?.alt === "sse"
+      ? responses.map((r) => `data: ${JSON.stringify(r)}\n\n`)
+      : [JSON.stringify(responses[responses.length - 1])];
+  return [
+    { event_type: "response_headers", status: 200, headers: {} },
+    ...chunks.map((data) => ({ event_type: "chunk", data: data })),
+    { event_type: "stream_close" },
+  ];
+}
+
+function errorReply(status, message) {
+  return [{ event_type: "error", status: status, message: message }];
+}
+
+// 把处理函数挂到真实的 Express 应用上，返回可直接 fetch 的地址。
+// 路由值为方法名，或 [方法名, ...附加参数]（如 Ollama 的 endpoint）
+async function startServer(handler, routes) {
+  const app = express();
+  app.use(express.json());
+  for (const [routePath, route] of Object.entries(routes)) {
+    const [method, ...args] = [].concat(route);
+    app.post(routePath, (req, res) => handler[method](req, res, ...args));
+  }
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+function parseSSE(text) {
+  return text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const event = { event: null, data: null };
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event: ")) event.event = line.substring(7);
+        if (line.startsWith("data: ")) event.data = line.substring(6);
+      }
+      return event;
+    });
+}
+
+module.exports = {
+  silentLogger,
+  createHandler,
+  connectFakeBrowser,
+  geminiReply,
+  errorReply,
+  startServer,
+  parseSSE,
+};
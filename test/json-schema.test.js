@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createHandler } = require("./helpers");
+
+function convert(schema) {
+  return createHandler()._convertJsonSchemaForGemini(schema);
+}
+
+test("types are upper-cased and unsupported keywords are dropped", () => {
+  assert.deepEqual(
+    convert({
+      $schema: "http://json-schema.org/draft-07/schema#",
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        name: { type: "string", minLength: 1 },
+        tags: { type: "array", items: { type: "string" }, maxItems: 3 },
+      },
+      required: ["name"],
+    }),
+    {
+      type: "OBJECT",
+      properties: {
+        name: { type: "STRING", minLength: 1 },
+        tags: { type: "ARRAY", items: { type: "STRING" }, maxItems: 3 },
+      },
+      required: ["name"],
+    }
+  );
+});
+
+test("null unions become nullable", () => {
+  assert.deepEqual(convert({ type: ["string", "null"] }), {
+    type: "STRING",
+    nullable: true,
+  });
+  assert.deepEqual(
+    convert({ anyOf: [{ type: "integer" }, { type: "null" }] }),
+    { type: "INTEGER", nullable: true }
+  );
+  assert.deepEqual(convert({ type: ["string", "number"] }), {
+    anyOf: [{ type: "STRING" }, { type: "NUMBER" }],
+  });
+});
+
+test("enum and const map to string enums", () => {
+  assert.deepEqual(convert({ const: "fixed" }), {
+    enum: ["fixed"],
+    type: "STRING",
+    format: "enum",
+  });
+  assert.throws(() => convert({ enum: [1, 2] }), /string enum/);
+});
+
+test("$ref is resolved from $defs and definitions", () => {
+  assert.deepEqual(
+    convert({
+      type: "object",
+      properties: {
+        home: { $ref: "#/$defs/address" },
+        work: { $ref: "#/definitions/address", description: "Office" },
+      },
+      $defs: {
+        address: { type: "object", properties: { city: { type: "string" } } },
+      },
+      definitions: {
+        address: { type: "object", properties: { city: { type: "string" } } },
+      },
+    }).properties,
+    {
+      home: { type: "OBJECT", properties: { city: { type: "STRING" } } },
+      work: {
+        type: "OBJECT",
+        description: "Office",
+        properties: { city: { type: "STRING" } },
+      },
+    }
+  );
+  assert.throws(() => convert({ $ref: "#/$defs/missing" }), /Unresolvable/);
+  assert.throws(
+    () =>
+      convert({
+        $ref: "#/$defs/node",
+        $defs: {
+          node: {
+            type: "object",
+            properties: { next: { $ref: "#/$defs/node" } },
+          },
+        },
+      }),
+    /Recursive \$ref/
+  );
+});
+
+test("allOf sub-schemas are merged before conversion", () => {
+  assert.deepEqual(
+    convert({
+      allOf: [
+        { $ref: "#/$defs/base" },
+        {
+          type: "object",
+          properties: {
+            id: { type: "string", maxLength: 8 },
+            kind: { enum: ["b", "c"] },
+          },
+          required: ["kind"],
+        },
+      ],
+      $defs: {
+        base: {
+          type: "object",
+          properties: {
+            id: { type: "string", maxLength: 16 },
+            kind: { enum: ["a", "b"] },
+          },
+          required: ["id"],
+        },
+      },
+    }),
+    {
+      type: "OBJECT",
+      properties: {
+        id: { type: "STRING", maxLength: 8 },
+        kind: { enum: ["b"], type: "STRING", format: "enum" },
+      },
+      required: ["id", "kind"],
+    }
+  );
+});
+
+test("contradictory allOf sub-schemas are rejected", () => {
+  assert.throws(
+    () => convert({ allOf: [{ type: "string" }, { type: "number" }] }),
+    /conflicting types/
+  );
+  assert.throws(
+    () => convert({ allOf: [{ enum: ["a"] }, { enum: ["b"] }] }),
+    /disjoint enum/
+  );
+});
+
+test("tuple-style items are rejected", () => {
+  assert.throws(
+    () => convert({ type: "array", items: [{ type: "string" }] }),
+    /Tuple-style/
+  );
+});
@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ConnectionRegistry } = require("../unified-server.js");
+const {
+  silentLogger,
+  createHandler,
+  connectFakeBrowser,
+  geminiReply,
+  errorReply,
+  startServer,
+} = require("./helpers");
+
+const aliasConfig = {
+  defaultModel: "gemini-2.5-flash",
+  immediateSwitchStatusCodes: [],
+  failureThreshold: 0,
+  modelAliases: {
+    "gpt-4o": "gemini-2.5-pro",
+    "gpt-4o-mini": "fast",
+    fast: "gemini-2.5-flash-lite",
+    loop: "loop-b",
+    "loop-b": "loop",
+  },
+  modelFallbacks: {
+    "gemini-2.5-flash-lite": ["gpt-4o", "gemini-2.5-flash-lite", "gpt-4o"],
+  },
+};
+
+const okResponse = {
+  candidates: [{ content: { parts: [{ text: "ok" }] }, finishReason: "STOP" }],
+};
+
+// 按浏览器收到的请求路径回答：unavailable 中的模型返回给定的错误，其余正常生成
+function modelResponder(
+  unavailable = [],
+  error = [503, "Service Unavailable"]
+) {
+  return (message) => {
+    const model = message.path.match(/models\/([^:]+):/)[1];
+    return unavailable.includes(model)
+      ? errorReply(...error)
+      : geminiReply(message, okResponse);
+  };
+}
+
+async function sendChat(registry, body) {
+  const handler = createHandler(aliasConfig, registry);
+  const server = await startServer(handler, {
+    "/v1/chat/completions": "processOpenAIRequest",
+  });
+  try {
+    const response = await fetch(`${server.url}/v1/chat/completions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        messages: [{ role: "user", content: "Hi" }],
+        ...body,
+      }),
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    await server.close();
+  }
+}
+
+function dispatched(browser) {
+  return browser.received.map((message) => ({
+    model: message.path.match(/models\/([^:]+):/)[1],
+    thinkingConfig: JSON.parse(message.body).generationConfig.thinkingConfig,
+  }));
+}
+
+test("aliases resolve through several levels and stop at cycles", () => {
+  const handler = createHandler(aliasConfig);
+  assert.equal(
+    handler._resolveModelName("gpt-4o-mini"),
+    "gemini-2.5-flash-lite"
+  );
+  assert.equal(handler._resolveModelName("models/gpt-4o"), "gemini-2.5-pro");
+  assert.equal(handler._resolveModelName(undefined), "gemini-2.5-flash");
+  assert.ok(["loop", "loop-b"].includes(handler._resolveModelName("loop")));
+});
+
+test("fallback chains resolve aliases and drop duplicates", () => {
+  assert.deepEqual(createHandler(aliasConfig)._getModelFallbackChain("fast"), [
+    "gemini-2.5-flash-lite",
+    "gemini-2.5-pro",
+  ]);
+  assert.deepEqual(
+    createHandler(aliasConfig)._getModelFallbackChain("gemini-2.5-flash"),
+    ["gemini-2.5-flash"]
+  );
+});
+
+test("requests are sent to the resolved model with its thinking budget", async () => {
+  const registry = new ConnectionRegistry(silentLogger);
+  const browser = connectFakeBrowser(registry, modelResponder());
+  const { status } = await sendChat(registry, {
+    model: "gpt-4o",
+    reasoning_effort: "none",
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(dispatched(browser), [
+    {
+      model: "gemini-2.5-pro",
+      thinkingConfig: { thinkingBudget: 128, includeThoughts: false },
+    },
+  ]);
+});
+
+test("overloaded models fall back and each attempt gets its own thinking budget", async () => {
+  const registry = new ConnectionRegistry(silentLogger);
+  const browser = connectFakeBrowser(
+    registry,
+    modelResponder(["gemini-2.5-flash-lite"])
+  );
+  const { status, body } = await sendChat(registry, {
+    model: "gpt-4o-mini",
+    reasoning_effort: "minimal",
+  });
+  assert.equal(status, 200);
+  assert.equal(body.choices[0].message.content, "ok");
+  assert.deepEqual(dispatched(browser), [
+    {
+      model: "gemini-2.5-flash-lite",
+      thinkingConfig: { thinkingBudget: 512, includeThoughts: true },
+    },
+    {
+      model: "gemini-2.5-pro",
+      thinkingConfig: { thinkingBudget: 128, includeThoughts: true },
+    },
+  ]);
+  assert.equal(registry.requestOwners.size, 0);
+});
+
+test("errors other than overload do not try the fallback models", async () => {
+  const registry = new ConnectionRegistry(silentLogger);
+  const browser = connectFakeBrowser(
+    registry,
+    modelResponder(["gemini-2.5-flash-lite"], [400, "Invalid argument"])
+  );
+  const { status } = await sendChat(registry, { model: "fast" });
+  assert.equal(status, 400);
+  assert.equal(browser.received.length, 1);
+});
@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createHandler } = require("./helpers");
+
+test("generate requests become system and user chat messages", () => {
+  const chatBody = createHandler()._translateOllamaToChat(
+    {
+      system: "Be brief.",
+      prompt: "Describe this",
+      images: ["/9j/AAAA"],
+      format: "json",
+      options: { temperature: 0.1, num_predict: -1, stop: ["\n"] },
+    },
+    "generate"
+  );
+  assert.equal(chatBody.messages[0].content, "Be brief.");
+  assert.deepEqual(chatBody.messages[1], {
+    role: "user",
+    content: [
+      { type: "text", text: "Describe this" },
+      {
+        type: "image_url",
+        image_url: { url: "data:image/jpeg;base64,/9j/AAAA" },
+      },
+    ],
+  });
+  assert.equal(chatBody.temperature, 0.1);
+  assert.equal(chatBody.max_tokens, undefined);
+  assert.deepEqual(chatBody.stop, ["\n"]);
+  assert.deepEqual(chatBody.response_format, { type: "json_object" });
+});
+
+test("generate suffix uses the shared fill-in-the-middle instruction", () => {
+  const handler = createHandler();
+  const chatBody = handler._translateOllamaToChat(
+    { prompt: "def add(a, b):", suffix: "return total" },
+    "generate"
+  );
+  assert.deepEqual(chatBody.messages, [
+    handler._buildSuffixInstruction("return total"),
+    { role: "user", content: "def add(a, b):" },
+  ]);
+  assert.match(chatBody.messages[0].content, /Suffix:\nreturn total$/);
+});
+
+test("chat tool calls get ids that the following tool messages reuse", () => {
+  const chatBody = createHandler()._translateOllamaToChat(
+    {
+      messages: [
+        { role: "user", content: "Weather?" },
+        {
+          role: "assistant",
+          content: "",
+          tool_calls: [
+            { function: { name: "get_weather", arguments: { city: "Oslo" } } },
+            { function: { name: "get_time", arguments: {} } },
+          ],
+        },
+        { role: "tool", tool_name: "get_time", content: "12:00" },
+        { role: "tool", content: "cold" },
+      ],
+      format: { type: "object", properties: {} },
+      think: true,
+    },
+    "chat"
+  );
+  const [, assistant, timeResult, weatherResult] = chatBody.messages;
+  assert.deepEqual(
+    assistant.tool_calls.map((c) => [c.id, c.function.arguments]),
+    [
+      ["call_0", '{"city":"Oslo"}'],
+      ["call_1", "{}"],
+    ]
+  );
+  assert.equal(timeResult.tool_call_id, "call_1");
+  assert.equal(weatherResult.tool_call_id, "call_0");
+  assert.equal(weatherResult.name, "get_weather");
+  assert.equal(chatBody.response_format.type, "json_schema");
+  assert.deepEqual(chatBody.extra_body, {
+    google: { thinking_config: { include_thoughts: true } },
+  });
+});
+
+test("translated chat bodies pass through the OpenAI translator", () => {
+  const handler = createHandler();
+  const googleBody = handler._translateOpenAIToGoogle(
+    handler._translateOllamaToChat(
+      { messages: [{ role: "user", content: "Hi" }], think: false },
+      "chat"
+    ),
+    "gemini-2.5-flash"
+  );
+  assert.deepEqual(googleBody.contents, [
+    { role: "user", parts: [{ text: "Hi" }] },
+  ]);
+  assert.deepEqual(googleBody.generationConfig.thinkingConfig, {
+    includeThoughts: false,
+  });
+});
+
+test("chat responses carry thinking, tool calls and final counters", () => {
+  const handler = createHandler();
+  const streamState = handler._createOllamaStreamState(
+    "chat",
+    "gemini-2.5-flash"
+  );
+  streamState.usageMetadata = {
+    promptTokenCount: 5,
+    candidatesTokenCount: 2,
+  };
+  streamState.finishReason = "MAX_TOKENS";
+  const response = handler._buildOllamaResponse(
+    streamState,
+    {
+      content: {
+        parts: [
+          { text: "Hmm", thought: true },
+          { text: "Hello" },
+          { functionCall: { name: "f", args: { a: 1 } } },
+        ],
+      },
+    },
+    true
+  );
+  assert.equal(response.model, "gemini-2.5-flash");
+  assert.equal(response.message.content, "Hello");
+  assert.equal(response.message.thinking, "Hmm");
+  assert.deepEqual(response.message.tool_calls, [
+    { function: { name: "f", arguments: { a: 1 } } },
+  ]);
+  assert.equal(response.done, true);
+  assert.equal(response.done_reason, "length");
+  assert.equal(response.prompt_eval_count, 5);
+  assert.equal(response.eval_count, 2);
+});
+
+test("intermediate generate chunks omit the final counters", () => {
+  const handler = createHandler();
+  const response = handler._buildOllamaResponse(
+    handler._createOllamaStreamState("generate", "gemini-2.5-flash"),
+    { content: { parts: [{ text: "partial" }] } },
+    false
+  );
+  assert.equal(response.response, "partial");
+  assert.equal(response.done, false);
+  assert.equal(response.eval_count, undefined);
+});
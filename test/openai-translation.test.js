@@ -0,0 +1,253 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createHandler } = require("./helpers");
+
+function parseStreamChunks(output) {
+  return output
+    .split("\n\n")
+    .filter((block) => block.startsWith("data: "))
+    .map((block) => JSON.parse(block.substring(6)));
+}
+
+test("system messages become systemInstruction", () => {
+  const googleBody = createHandler()._translateOpenAIToGoogle({
+    messages: [
+      { role: "system", content: "Be brief." },
+      { role: "system", content: "Answer in English." },
+      { role: "user", content: "Hi" },
+    ],
+  });
+  assert.deepEqual(googleBody.systemInstruction, {
+    parts: [{ text: "Be brief.\nAnswer in English." }],
+  });
+  assert.deepEqual(googleBody.contents, [
+    { role: "user", parts: [{ text: "Hi" }] },
+  ]);
+});
+
+test("tool calls and tool results map to functionCall and functionResponse", () => {
+  const googleBody = createHandler()._translateOpenAIToGoogle({
+    messages: [
+      { role: "user", content: "Weather in Paris and Rome?" },
+      {
+        role: "assistant",
+        content: null,
+        tool_calls: [
+          {
+            id: "call_1",
+            type: "function",
+            function: { name: "get_weather", arguments: '{"city":"Paris"}' },
+          },
+          {
+            id: "call_2",
+            type: "function",
+            function: { name: "get_weather", arguments: '{"city":"Rome"}' },
+          },
+        ],
+      },
+      { role: "tool", tool_call_id: "call_1", content: '{"temp":20}' },
+      { role: "tool", tool_call_id: "call_2", content: "sunny" },
+    ],
+    tools: [
+      {
+        type: "function",
+        function: {
+          name: "get_weather",
+          description: "Look up the weather",
+          parameters: {
+            type: "object",
+            properties: { city: { type: "string" } },
+            required: ["city"],
+          },
+        },
+      },
+    ],
+    tool_choice: { type: "function", function: { name: "get_weather" } },
+  });
+
+  assert.deepEqual(googleBody.contents[1], {
+    role: "model",
+    parts: [
+      { functionCall: { name: "get_weather", args: { city: "Paris" } } },
+      { functionCall: { name: "get_weather", args: { city: "Rome" } } },
+    ],
+  });
+  // 同一轮的函数结果合并到一个 user 回合
+  assert.equal(googleBody.contents.length, 3);
+  assert.deepEqual(
+    googleBody.contents[2].parts.map((p) => p.functionResponse.name),
+    ["get_weather", "get_weather"]
+  );
+  assert.deepEqual(
+    googleBody.tools[0].functionDeclarations[0].parameters.required,
+    ["city"]
+  );
+  assert.deepEqual(googleBody.toolConfig, {
+    functionCallingConfig: {
+      mode: "ANY",
+      allowedFunctionNames: ["get_weather"],
+    },
+  });
+});
+
+test("tools without arguments omit parameters", () => {
+  const googleBody = createHandler()._translateOpenAIToGoogle({
+    messages: [{ role: "user", content: "What time is it?" }],
+    tools: [
+      {
+        type: "function",
+        function: {
+          name: "get_time",
+          parameters: { type: "object", properties: {} },
+        },
+      },
+      { type: "function", function: { name: "ping" } },
+    ],
+  });
+  assert.deepEqual(googleBody.tools[0].functionDeclarations, [
+    { name: "get_time", description: undefined },
+    { name: "ping", description: undefined },
+  ]);
+});
+
+test("unknown tool_call_id is rejected", () => {
+  assert.throws(
+    () =>
+      createHandler()._translateOpenAIToGoogle({
+        messages: [{ role: "tool", tool_call_id: "missing", content: "x" }],
+      }),
+    /unknown tool_call_id/
+  );
+});
+
+test("generation parameters map to generationConfig", () => {
+  const googleBody = createHandler()._translateOpenAIToGoogle({
+    messages: [{ role: "user", content: "Hi" }],
+    temperature: 0.2,
+    top_p: 0.9,
+    max_tokens: 64,
+    stop: "END",
+    n: 2,
+    response_format: { type: "json_object" },
+  });
+  const config = googleBody.generationConfig;
+  assert.equal(config.temperature, 0.2);
+  assert.equal(config.topP, 0.9);
+  assert.equal(config.maxOutputTokens, 64);
+  assert.deepEqual(config.stopSequences, ["END"]);
+  assert.equal(config.candidateCount, 2);
+  assert.equal(config.responseMimeType, "application/json");
+});
+
+test("reasoning_effort respects the model's thinking budget range", () => {
+  const handler = createHandler();
+  assert.deepEqual(
+    handler._translateOpenAIThinkingConfig(
+      { reasoning_effort: "none" },
+      "gemini-2.5-flash"
+    ),
+    { thinkingBudget: 0, includeThoughts: false }
+  );
+  assert.deepEqual(
+    handler._translateOpenAIThinkingConfig(
+      { reasoning_effort: "none" },
+      "gemini-2.5-pro"
+    ),
+    { thinkingBudget: 128, includeThoughts: false }
+  );
+  assert.throws(
+    () =>
+      handler._translateOpenAIThinkingConfig(
+        { extra_body: { google: { thinking_config: { thinking_budget: 0 } } } },
+        "gemini-2.5-pro"
+      ),
+    /cannot disable thinking/
+  );
+});
+
+test("candidate with function calls becomes a tool_calls choice", () => {
+  const choice = createHandler()._translateGoogleCandidateToOpenAIChoice(
+    {
+      content: {
+        parts: [
+          { text: "Thinking it over", thought: true },
+          { functionCall: { name: "get_weather", args: { city: "Paris" } } },
+        ],
+      },
+      finishReason: "STOP",
+    },
+    0
+  );
+  assert.equal(choice.finish_reason, "tool_calls");
+  assert.equal(choice.message.content, null);
+  assert.equal(choice.message.reasoning_content, "Thinking it over");
+  assert.equal(choice.message.tool_calls[0].function.name, "get_weather");
+  assert.equal(
+    choice.message.tool_calls[0].function.arguments,
+    '{"city":"Paris"}'
+  );
+});
+
+test("truncated or blocked tool calls keep their finish reason", () => {
+  const handler = createHandler();
+  const candidate = (finishReason) => ({
+    content: { parts: [{ functionCall: { name: "f", args: {} } }] },
+    finishReason,
+  });
+  assert.equal(
+    handler._translateGoogleCandidateToOpenAIChoice(candidate("MAX_TOKENS"), 0)
+      .finish_reason,
+    "length"
+  );
+  assert.equal(
+    handler._translateGoogleCandidateToOpenAIChoice(candidate("SAFETY"), 0)
+      .finish_reason,
+    "content_filter"
+  );
+
+  const streamState = handler._createOpenAIStreamState("req");
+  const chunks = parseStreamChunks(
+    handler._translateGoogleToOpenAIStream(
+      `data: ${JSON.stringify({ candidates: [candidate("MAX_TOKENS")] })}`,
+      "gemini-2.5-flash",
+      streamState
+    )
+  );
+  assert.equal(chunks[chunks.length - 1].choices[0].finish_reason, "length");
+});
+
+test("stream chunks share id and start with a role delta", () => {
+  const handler = createHandler();
+  const streamState = handler._createOpenAIStreamState("req", true);
+  const chunks = parseStreamChunks(
+    handler._translateGoogleToOpenAIStream(
+      `data: ${JSON.stringify({
+        candidates: [{ content: { parts: [{ text: "Hello" }] } }],
+      })}`,
+      "gemini-2.5-flash",
+      streamState
+    )
+  );
+  assert.equal(chunks[0].choices[0].delta.role, "assistant");
+  assert.equal(chunks[1].choices[0].delta.content, "Hello");
+  assert.ok(chunks.every((chunk) => chunk.id === "chatcmpl-req"));
+  assert.ok(chunks.every((chunk) => chunk.usage === null));
+});
+
+test("usage includes reasoning tokens in completion_tokens", () => {
+  assert.deepEqual(
+    createHandler()._translateGoogleUsage({
+      promptTokenCount: 10,
+      candidatesTokenCount: 5,
+      thoughtsTokenCount: 3,
+      totalTokenCount: 18,
+    }),
+    {
+      prompt_tokens: 10,
+      completion_tokens: 8,
+      total_tokens: 18,
+      prompt_tokens_details: { cached_tokens: 0 },
+      completion_tokens_details: { reasoning_tokens: 3 },
+    }
+  );
+});
@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dns = require("dns");
+const http = require("http");
+const { createHandler } = require("./helpers");
+
+// 本地服务器按路径返回重定向或内容，用于验证逐跳校验
+async function startRedirectServer(routes) {
+  const server = http.createServer((req, res) => {
+    const route = routes[req.url] || { status: 404 };
+    res.writeHead(route.status, route.headers);
+    for (const chunk of route.chunks || []) res.write(chunk);
+    res.end(route.body);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+test("private, loopback and metadata addresses are rejected", async () => {
+  const handler = createHandler();
+  for (const url of [
+    "http://127.0.0.1/a.png",
+    "http://10.1.2.3/a.png",
+    "http://192.168.0.10/a.png",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://[::1]/a.png",
+    "http://[::ffff:127.0.0.1]/a.png",
+    "http://[fd00::1]/a.png",
+  ]) {
+    await assert.rejects(handler._assertPublicUrl(url), /non-public address/);
+  }
+  await assert.rejects(
+    handler._assertPublicUrl("file:///etc/passwd"),
+    /unsupported URL scheme file:/
+  );
+  await assert.rejects(handler._assertPublicUrl("not a url"), /invalid URL/);
+});
+
+test("host names are checked against every resolved address", async (t) => {
+  const lookup = t.mock.method(dns.promises, "lookup", async (hostname) =>
+    hostname === "internal.example"
+      ? [
+          { address: "93.184.216.34", family: 4 },
+          { address: "10.0.0.5", family: 4 },
+        ]
+      : [{ address: "93.184.216.34", family: 4 }]
+  );
+  const handler = createHandler();
+  await assert.rejects(
+    handler._assertPublicUrl("https://internal.example/a.png"),
+    /internal\.example resolves to a non-public address \(10\.0\.0\.5\)/
+  );
+  const parsed = await handler._assertPublicUrl("https://cdn.example/a.png");
+  assert.equal(parsed.hostname, "cdn.example");
+  assert.deepEqual(lookup.mock.calls[1].arguments, [
+    "cdn.example",
+    { all: true },
+  ]);
+});
+
+test("the connection re-checks the resolved address", async (t) => {
+  t.mock.method(dns, "lookup", (hostname, options, callback) =>
+    callback(null, [{ address: "127.0.0.1", family: 4 }])
+  );
+  await assert.rejects(
+    createHandler()._downloadPublicUrl(
+      new URL("http://rebind.example/a.png"),
+      1024
+    ),
+    /rebind\.example resolves to a non-public address \(127\.0\.0\.1\)/
+  );
+});
+
+test("every redirect hop is validated", async () => {
+  const server = await startRedirectServer({
+    "/metadata": {
+      status: 302,
+      headers: { Location: "http://169.254.169.254/latest/meta-data/" },
+    },
+    "/relative": { status: 301, headers: { Location: "/image" } },
+    "/image": {
+      status: 200,
+      headers: { "Content-Type": "image/png" },
+      body: "png",
+    },
+  });
+  const handler = createHandler();
+  try {
+    await assert.rejects(
+      handler._downloadPublicUrl(new URL(`${server.url}/metadata`), 1024),
+      /169\.254\.169\.254 resolves to a non-public address/
+    );
+    // 相对地址的重定向回到本机，同样被拒绝
+    await assert.rejects(
+      handler._downloadPublicUrl(new URL(`${server.url}/relative`), 1024),
+      /127\.0\.0\.1 resolves to a non-public address/
+    );
+    const { buffer, contentType } = await handler._downloadPublicUrl(
+      new URL(`${server.url}/image`),
+      1024
+    );
+    assert.equal(buffer.toString(), "png");
+    assert.equal(contentType, "image/png");
+  } finally {
+    await server.close();
+  }
+});
+
+test("downloads stop once the byte limit is exceeded", async () => {
+  const server = await startRedirectServer({
+    "/large": { status: 200, body: "x".repeat(2048) },
+    // 分块传输没有 Content-Length，只能边读边计数
+    "/chunked": { status: 200, chunks: ["x".repeat(800), "x".repeat(800)] },
+    "/loop": { status: 302, headers: { Location: "http://93.184.216.34/" } },
+  });
+  const handler = createHandler();
+  try {
+    await assert.rejects(
+      handler._downloadPublicUrl(new URL(`${server.url}/large`), 1024),
+      /exceeds the/
+    );
+    await assert.rejects(
+      handler._downloadPublicUrl(new URL(`${server.url}/chunked`), 1024),
+      /exceeds the/
+    );
+    await assert.rejects(
+      handler._downloadPublicUrl(new URL(`${server.url}/loop`), 1024, 0),
+      /too many redirects/
+    );
+  } finally {
+    await server.close();
+  }
+});
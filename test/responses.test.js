@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ConnectionRegistry } = require("../unified-server.js");
+const {
+  silentLogger,
+  createHandler,
+  connectFakeBrowser,
+  geminiReply,
+  startServer,
+  parseSSE,
+} = require("./helpers");
+
+async function runResponsesStream(googleResponse) {
+  const registry = new ConnectionRegistry(silentLogger);
+  connectFakeBrowser(registry, (message) =>
+    geminiReply(message, googleResponse)
+  );
+  const handler = createHandler({}, registry);
+  const server = await startServer(handler, {
+    "/v1/responses": "processResponsesRequest",
+  });
+  try {
+    const response = await fetch(`${server.url}/v1/responses`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model: "gemini-2.5-flash",
+        input: "Hi",
+        stream: true,
+        store: false,
+      }),
+    });
+    return parseSSE(await response.text());
+  } finally {
+    await server.close();
+  }
+}
+
+test("stream ends with response.completed after a normal stop", async () => {
+  const events = await runResponsesStream({
+    candidates: [
+      { content: { parts: [{ text: "Hello" }] }, finishReason: "STOP" },
+    ],
+  });
+  const last = events[events.length - 1];
+  assert.equal(last.event, "response.completed");
+  assert.equal(JSON.parse(last.data).response.status, "completed");
+});
+
+test("stream ends with response.incomplete when output was truncated", async () => {
+  const events = await runResponsesStream({
+    candidates: [
+      { content: { parts: [{ text: "Hel" }] }, finishReason: "MAX_TOKENS" },
+    ],
+  });
+  const last = events[events.length - 1];
+  assert.equal(last.event, "response.incomplete");
+  const { response } = JSON.parse(last.data);
+  assert.equal(response.status, "incomplete");
+  assert.deepEqual(response.incomplete_details, {
+    reason: "max_output_tokens",
+  });
+});
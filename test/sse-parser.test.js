@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { SSEParser } = require("../unified-server.js");
+
+test("events split across chunks are reassembled", () => {
+  const parser = new SSEParser();
+  assert.deepEqual(parser.push('data: {"a":'), []);
+  assert.deepEqual(parser.push("1}\n"), []);
+  assert.deepEqual(parser.push("\ndata: 2\n\n"), [
+    { event: null, data: '{"a":1}' },
+    { event: null, data: "2" },
+  ]);
+});
+
+test("multi-line data, event names and comments follow the SSE spec", () => {
+  const parser = new SSEParser();
+  assert.deepEqual(
+    parser.push(": keep-alive\nevent: message\ndata: line1\ndata:line2\n\n"),
+    [{ event: "message", data: "line1\nline2" }]
+  );
+});
+
+test("CRLF split between chunks is treated as one line break", () => {
+  const parser = new SSEParser();
+  assert.deepEqual(parser.push("data: x\r"), []);
+  assert.deepEqual(parser.push("\n\r\n"), [{ event: null, data: "x" }]);
+});
+
+test("flush emits a trailing event without a blank line", () => {
+  const parser = new SSEParser();
+  assert.deepEqual(parser.push("data: last"), []);
+  assert.deepEqual(parser.flush(), [{ event: null, data: "last" }]);
+  assert.deepEqual(parser.flush(), []);
+});
@@ -2,13 +2,56 @@ const session = require("express-session");
 const cookieParser = require("cookie-parser");
 const crypto = require("crypto");
 const express = require("express");
+const multer = require("multer");
 const WebSocket = require("ws");
 const http = require("http");
+const https = require("https");
+const net = require("net");
+const dns = require("dns");
 const { EventEmitter } = require("events");
 const fs = require("fs");
 const path = require("path");
 const { firefox } = require("playwright");
 const os = require("os");
+const { version: SERVER_VERSION } = require("./package.json");
+
+// 服务器与浏览器脚本之间的 WebSocket 协议版本，握手时版本不一致的客户端会被拒绝
+const PROTOCOL_VERSION = 2;
+// 服务器支持的可选能力，实际启用的是与客户端声明的交集
+const SERVER_FEATURES = [
+  "binary_chunks",
+  "cancellation",
+  "chunked_request_body",
+  "heartbeat",
+  "metrics",
+];
+
+// 服务器下载远程媒体时禁止访问的地址段：回环、私有网络、链路本地（含云厂商元数据地址）、保留与组播
+const PRIVATE_ADDRESS_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESS_RANGES.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESS_RANGES.addSubnet(network, prefix, "ipv6")
+);
 
 // ===================================================================================
 // AUTH SOURCE MANAGEMENT MODULE
@@ -172,6 +215,7 @@ class BrowserManager {
     this.page = null;
     this.currentAuthIndex = 0;
     this.scriptFileName = "black-browser.js";
+    this.connectionToken = null; // 注入到浏览器脚本中的 WebSocket 认证令牌
     // [优化] 为低内存的Docker/云环境设置优化的启动参数
     this.launchArgs = [
       "--disable-dev-shm-usage", // 关键！防止 /dev/shm 空间不足导致浏览器崩溃
@@ -251,10 +295,23 @@ class BrowserManager {
         `Failed to get or parse auth source for index ${authIndex}.`
       );
     }
-    const buildScriptContent = fs.readFileSync(
+    // 每次粘贴脚本都生成新令牌（配置了 wsToken 时使用固定的共享密钥），旧上下文的令牌随即失效
+    this.connectionToken =
+      this.config.wsToken || crypto.randomBytes(24).toString("hex");
+    const rawScriptContent = fs.readFileSync(
       path.join(__dirname, this.scriptFileName),
       "utf-8"
     );
+    if (!rawScriptContent.includes("__PROXY_CONNECTION_TOKEN__")) {
+      this.logger.warn(
+        `[Browser] ${this.scriptFileName} 中未找到令牌占位符，浏览器将无法通过WebSocket认证。`
+      );
+    }
+    const buildScriptContent = rawScriptContent
+      .replaceAll("__PROXY_CONNECTION_TOKEN__", this.connectionToken)
+      .replaceAll("__PROXY_WS_ENDPOINT__", this.config.wsEndpoint)
+      .replaceAll("__PROXY_ACCOUNT_INDEX__", String(authIndex));
+    this.logger.info(`[Browser] 浏览器脚本将连接到: ${this.config.wsEndpoint}`);
 
     try {
       this.context = await this.browser.newContext({
@@ -436,6 +493,16 @@ class BrowserManager {
     }
   }
 
+  verifyConnectionToken(token) {
+    if (!this.connectionToken || typeof token !== "string") return false;
+    const expected = Buffer.from(this.connectionToken);
+    const actual = Buffer.from(token);
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  }
+
   async closeBrowser() {
     if (this.browser) {
       this.logger.info("[Browser] 正在关闭整个浏览器实例...");
@@ -509,6 +576,7 @@ class MessageQueue extends EventEmitter {
     if (this.closed) return;
     if (this.waitingResolvers.length > 0) {
       const resolver = this.waitingResolvers.shift();
+      clearTimeout(resolver.timeoutId); // 已收到消息，不再需要超时计时器
       resolver.resolve(message);
     } else {
       this.messages.push(message);
@@ -546,13 +614,84 @@ class MessageQueue extends EventEmitter {
   }
 }
 
+// 浏览器转发的是原始的 TextDecoder 片段，一个片段可能包含半个或多个 SSE 事件，
+// 因此需要按请求维护缓冲区，只在遇到空行时产出完整事件
+class SSEParser {
+  constructor() {
+    this.buffer = "";
+    this.dataLines = [];
+    this.eventName = null;
+  }
+
+  push(text) {
+    this.buffer += text;
+    const events = [];
+    let newlineIndex;
+    while ((newlineIndex = this.buffer.search(/\r\n|\r|\n/)) !== -1) {
+      const newlineLength = this.buffer.startsWith("\r\n", newlineIndex)
+        ? 2
+        : 1;
+      // 末尾单独的 \r 可能是被截断的 \r\n，等下一个片段再处理
+      if (
+        this.buffer[newlineIndex] === "\r" &&
+        newlineIndex === this.buffer.length - 1
+      ) {
+        break;
+      }
+      const line = this.buffer.substring(0, newlineIndex);
+      this.buffer = this.buffer.substring(newlineIndex + newlineLength);
+      const event = this._processLine(line);
+      if (event) events.push(event);
+    }
+    return events;
+  }
+
+  flush() {
+    const events = [];
+    if (this.buffer) {
+      const event = this._processLine(this.buffer);
+      this.buffer = "";
+      if (event) events.push(event);
+    }
+    const event = this._processLine("");
+    if (event) events.push(event);
+    return events;
+  }
+
+  _processLine(line) {
+    if (line === "") {
+      if (this.dataLines.length === 0) return null;
+      const event = { event: this.eventName, data: this.dataLines.join("\n") };
+      this.dataLines = [];
+      this.eventName = null;
+      return event;
+    }
+    if (line.startsWith(":")) return null;
+    const colonIndex = line.indexOf(":");
+    const field = colonIndex === -1 ? line : line.substring(0, colonIndex);
+    let value = colonIndex === -1 ? "" : line.substring(colonIndex + 1);
+    if (value.startsWith(" ")) value = value.substring(1);
+    if (field === "data") this.dataLines.push(value);
+    else if (field === "event") this.eventName = value;
+    return null;
+  }
+}
+
 class ConnectionRegistry extends EventEmitter {
-  constructor(logger) {
+  constructor(logger, options = {}) {
     super();
     this.logger = logger;
     this.connections = new Set();
+    this.connectionInfo = new Map(); // websocket -> 握手时登记的连接元数据
+    this.nextConnectionId = 1;
     this.messageQueues = new Map();
+    // 多个浏览器客户端时的路由：requestId -> 负责该请求的连接，以及选择连接的策略
+    this.requestOwners = new Map();
+    this.routingStrategy = options.routingStrategy || "least_inflight";
+    this.roundRobinIndex = 0;
     this.reconnectGraceTimer = null; // 新增：用于缓冲期计时的定时器
+    this.heartbeatTimer = null;
+    this.heartbeatMaxMissed = 0;
   }
   addConnection(websocket, clientInfo) {
     // --- 核心修改：当新连接建立时，清除可能存在的“断开”警报 ---
@@ -564,11 +703,30 @@ class ConnectionRegistry extends EventEmitter {
     // --- 修改结束 ---
 
     this.connections.add(websocket);
+    const info = {
+      id: this.nextConnectionId++,
+      connectedAt: new Date().toISOString(),
+      features: [],
+      metrics: null,
+      healthy: true,
+      missedPongs: 0,
+      lastPongAt: null,
+      latencyMs: null,
+      inFlight: 0,
+      ...clientInfo,
+    };
+    this.connectionInfo.set(websocket, info);
     this.logger.info(
-      `[Server] 内部WebSocket客户端已连接 (来自: ${clientInfo.address})`
+      `[Server] 内部WebSocket客户端已连接 #${info.id} (来自: ${
+        clientInfo.address
+      }, 脚本版本: ${info.scriptBuild || "未知"}, 账号: #${
+        info.accountIndex ?? "未知"
+      }, 能力: ${info.features.join(", ") || "无"})，当前共 ${
+        this.connections.size
+      } 个客户端`
     );
     websocket.on("message", (data) =>
-      this._handleIncomingMessage(data.toString())
+      this._handleIncomingMessage(data.toString(), websocket)
     );
     websocket.on("close", () => this._removeConnection(websocket));
     websocket.on("error", (error) =>
@@ -579,8 +737,28 @@ class ConnectionRegistry extends EventEmitter {
 
   _removeConnection(websocket) {
     this.connections.delete(websocket);
+    this.connectionInfo.delete(websocket);
     this.logger.warn("[Server] 内部WebSocket客户端连接断开。");
 
+    // 浏览器断线时会放弃手上的所有请求；还有其他客户端在线时，这些请求直接失败，无需等待缓冲期
+    const orphanedIds = [];
+    this.requestOwners.forEach((owner, requestId) => {
+      if (owner === websocket) orphanedIds.push(requestId);
+    });
+    orphanedIds.forEach((requestId) => this.requestOwners.delete(requestId));
+    if (this.hasActiveConnections()) {
+      if (orphanedIds.length > 0) {
+        this.logger.warn(
+          `[Server] 仍有 ${this.connections.size} 个客户端在线，断开连接上的 ${orphanedIds.length} 个请求将立即终止。`
+        );
+      }
+      orphanedIds.forEach((requestId) =>
+        this.messageQueues.get(requestId)?.close()
+      );
+      this.emit("connectionRemoved", websocket);
+      return;
+    }
+
     // --- 核心修改：不立即清理队列，而是启动一个缓冲期 ---
     this.logger.info("[Server] 启动5秒重连缓冲期...");
     this.reconnectGraceTimer = setTimeout(() => {
@@ -597,9 +775,31 @@ class ConnectionRegistry extends EventEmitter {
     this.emit("connectionRemoved", websocket);
   }
 
-  _handleIncomingMessage(messageData) {
+  _handleIncomingMessage(messageData, websocket) {
     try {
       const parsedMessage = JSON.parse(messageData);
+      // 连接级别的消息不属于任何请求
+      if (parsedMessage.event_type === "metrics") {
+        const info = this.connectionInfo.get(websocket);
+        if (info) {
+          info.metrics = {
+            ...parsedMessage.metrics,
+            updatedAt: new Date().toISOString(),
+          };
+        }
+        return;
+      }
+      if (parsedMessage.event_type === "pong") {
+        const info = this.connectionInfo.get(websocket);
+        if (info) {
+          info.missedPongs = 0;
+          info.lastPongAt = new Date().toISOString();
+          if (parsedMessage.timestamp) {
+            info.latencyMs = Date.now() - parsedMessage.timestamp;
+          }
+        }
+        return;
+      }
       const requestId = parsedMessage.request_id;
       if (!requestId) {
         this.logger.warn("[Server] 收到无效消息：缺少request_id");
@@ -618,7 +818,7 @@ class ConnectionRegistry extends EventEmitter {
     }
   }
 
-  // 其他方法 (_routeMessage, hasActiveConnections, getFirstConnection,等) 保持不变...
+  // 其他方法 (_routeMessage, hasActiveConnections,等) 保持不变...
   _routeMessage(message, queue) {
     const { event_type } = message;
     switch (event_type) {
@@ -634,11 +834,102 @@ class ConnectionRegistry extends EventEmitter {
         this.logger.warn(`[Server] 未知的内部事件类型: ${event_type}`);
     }
   }
+  // 心跳：定期向支持 heartbeat 的客户端发送 ping，连续 maxMissed 次未收到 pong 即判定为无响应。
+  // 页面卡死时 TCP 连接可能依然存在，仅靠 close 事件无法发现这种情况。
+  startHeartbeat(intervalMs, maxMissed) {
+    this.stopHeartbeat();
+    if (!(intervalMs > 0) || !(maxMissed > 0)) return;
+    this.heartbeatMaxMissed = maxMissed;
+    this.heartbeatTimer = setInterval(() => this._sendHeartbeats(), intervalMs);
+    this.heartbeatTimer.unref();
+  }
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+  _sendHeartbeats() {
+    for (const websocket of this.connections) {
+      const info = this.connectionInfo.get(websocket);
+      if (!info || !info.healthy || !info.features.includes("heartbeat")) {
+        continue;
+      }
+      if (info.missedPongs >= this.heartbeatMaxMissed) {
+        this._markUnhealthy(websocket, info);
+        continue;
+      }
+      info.missedPongs++;
+      try {
+        websocket.send(
+          JSON.stringify({ event_type: "ping", timestamp: Date.now() })
+        );
+      } catch (error) {
+        this.logger.warn(
+          `[Server] 向浏览器客户端 #${info.id} 发送心跳失败: ${error.message}`
+        );
+      }
+    }
+  }
+  _markUnhealthy(websocket, info) {
+    info.healthy = false;
+    this.logger.error(
+      `[Server] 浏览器客户端 #${info.id} 已连续 ${info.missedPongs} 次未响应心跳，判定为无响应，正在断开该连接...`
+    );
+    this.emit("connectionUnhealthy", websocket);
+    // 卡死的页面不会完成关闭握手，直接销毁底层连接，由 close 事件走正常的断开流程
+    websocket.terminate();
+  }
+  _isHealthy(websocket) {
+    const info = this.connectionInfo.get(websocket);
+    return !info || info.healthy;
+  }
   hasActiveConnections() {
-    return this.connections.size > 0;
+    return Array.from(this.connections).some((ws) => this._isHealthy(ws));
+  }
+  // 多客户端路由：按策略为新请求挑选一个健康的连接。
+  // least_inflight 选进行中请求最少的（相同时轮流），round_robin 依次轮换
+  selectConnection() {
+    const candidates = Array.from(this.connections).filter((ws) =>
+      this._isHealthy(ws)
+    );
+    if (candidates.length === 0) return null;
+    const start = this.roundRobinIndex++ % candidates.length;
+    if (this.routingStrategy === "round_robin") return candidates[start];
+    let selected = null;
+    let minInFlight = Infinity;
+    for (let i = 0; i < candidates.length; i++) {
+      const ws = candidates[(start + i) % candidates.length];
+      const inFlight = this.connectionInfo.get(ws)?.inFlight || 0;
+      if (inFlight < minInFlight) {
+        selected = ws;
+        minInFlight = inFlight;
+      }
+    }
+    return selected;
+  }
+  assignRequest(requestId, websocket) {
+    this.releaseRequest(requestId); // 重试时可能换到另一个连接
+    this.requestOwners.set(requestId, websocket);
+    const info = this.connectionInfo.get(websocket);
+    if (info) info.inFlight++;
+  }
+  releaseRequest(requestId) {
+    const owner = this.requestOwners.get(requestId);
+    if (!owner) return;
+    this.requestOwners.delete(requestId);
+    const info = this.connectionInfo.get(owner);
+    if (info && info.inFlight > 0) info.inFlight--;
+  }
+  getRequestOwner(requestId) {
+    return this.requestOwners.get(requestId) || null;
+  }
+  getConnectionInfo(websocket) {
+    return this.connectionInfo.get(websocket) || null;
   }
-  getFirstConnection() {
-    return this.connections.values().next().value;
+  hasFeature(websocket, feature) {
+    return !!this.connectionInfo.get(websocket)?.features.includes(feature);
+  }
+  getConnectionsInfo() {
+    return Array.from(this.connectionInfo.values());
   }
   createMessageQueue(requestId) {
     const queue = new MessageQueue();
@@ -646,6 +937,7 @@ class ConnectionRegistry extends EventEmitter {
     return queue;
   }
   removeMessageQueue(requestId) {
+    this.releaseRequest(requestId);
     const queue = this.messageQueues.get(requestId);
     if (queue) {
       queue.close();
@@ -671,11 +963,21 @@ class RequestHandler {
     this.authSource = authSource;
     this.maxRetries = this.config.maxRetries;
     this.retryDelay = this.config.retryDelay;
+    // 失败计数与轮换计数是全局的：账号切换由 BrowserManager 对唯一的浏览器上下文执行，
+    // 多个浏览器客户端同时在线时也按"当前账号"统计，不区分请求实际落在哪个客户端上
     this.failureCount = 0;
     this.usageCount = 0;
     this.isAuthSwitching = false;
     this.needsSwitchingAfterRequest = false;
     this.isSystemBusy = false;
+    this.responseStore = new Map(); // Responses API 的本地存档，按插入顺序淘汰
+    this.maxStoredResponses = 1000;
+    this.imageStore = new Map(); // response_format: "url" 生成的图片，同样按插入顺序淘汰
+    this.maxStoredImages = 100;
+    this.modelCatalog = null; // ListModels 的缓存结果，未获取成功前回退到 models.json
+    this.modelCatalogUpdatedAt = null;
+    this.modelFirstSeen = new Map(); // 记录每个模型首次出现的时间，作为稳定的 created
+    this.modelCatalogRefreshing = null;
   }
 
   get currentAuthIndex() {
@@ -861,6 +1163,31 @@ class RequestHandler {
     }
   }
 
+  // 重建当前账号的浏览器上下文。既由 processRequest 在发现连接断开时调用，
+  // 也由心跳检测在连接无响应/确认丢失时主动调用。返回是否恢复成功。
+  async recoverBrowser(reason) {
+    if (this.isSystemBusy) {
+      this.logger.warn(
+        `[System] ${reason}系统正在进行切换/恢复，跳过本次恢复。`
+      );
+      return false;
+    }
+    this.logger.error(`❌ [System] ${reason}正在尝试恢复...`);
+    // --- 开始恢复前，加锁！ ---
+    this.isSystemBusy = true;
+    try {
+      await this.browserManager.launchOrSwitchContext(this.currentAuthIndex);
+      this.logger.info(`✅ [System] 浏览器已成功恢复！`);
+      return true;
+    } catch (error) {
+      this.logger.error(`❌ [System] 浏览器自动恢复失败: ${error.message}`);
+      return false;
+    } finally {
+      // --- 恢复结束后，解锁！ ---
+      this.isSystemBusy = false;
+    }
+  }
+
   async processRequest(req, res) {
     const requestId = this._generateRequestId();
     res.on("close", () => {
@@ -884,24 +1211,15 @@ class RequestHandler {
         );
       }
 
-      this.logger.error(
-        "❌ [System] 检测到浏览器WebSocket连接已断开！可能是进程崩溃。正在尝试恢复..."
+      const recovered = await this.recoverBrowser(
+        "检测到浏览器WebSocket连接已断开！可能是进程崩溃。"
       );
-      // --- 开始恢复前，加锁！ ---
-      this.isSystemBusy = true;
-      try {
-        await this.browserManager.launchOrSwitchContext(this.currentAuthIndex);
-        this.logger.info(`✅ [System] 浏览器已成功恢复！`);
-      } catch (error) {
-        this.logger.error(`❌ [System] 浏览器自动恢复失败: ${error.message}`);
+      if (!recovered) {
         return this._sendErrorResponse(
           res,
           503,
           "服务暂时不可用：后端浏览器实例崩溃且无法自动恢复，请联系管理员。"
         );
-      } finally {
-        // --- 恢复结束后，解锁！ ---
-        this.isSystemBusy = false;
       }
     }
 
@@ -920,6 +1238,13 @@ class RequestHandler {
       req.method === "POST" &&
       (req.path.includes("generateContent") ||
         req.path.includes("streamGenerateContent"));
+    let proxyRequest;
+    try {
+      proxyRequest = this._buildProxyRequest(req, requestId);
+    } catch (error) {
+      // 生成策略拒绝了请求中的参数
+      return this._sendErrorResponse(res, error.status || 400, error.message);
+    }
     if (this.config.switchOnUses > 0 && isGenerativeRequest) {
       this.usageCount++;
       this.logger.info(
@@ -930,7 +1255,6 @@ class RequestHandler {
       }
     }
 
-    const proxyRequest = this._buildProxyRequest(req, requestId);
     proxyRequest.is_generative = isGenerativeRequest;
     // 根据判断结果，为浏览器脚本准备标志位
     const messageQueue = this.connectionRegistry.createMessageQueue(requestId);
@@ -982,18 +1306,25 @@ class RequestHandler {
   async processOpenAIRequest(req, res) {
     const requestId = this._generateRequestId();
     const isOpenAIStream = req.body.stream === true;
-    const model = req.body.model || "gemini-1.5-pro-latest";
+    const model = req.body.model || this.config.defaultModel;
+    const resolvedModel = this._resolveModelName(model);
+
+    if (this._getOpenAIAdapterMode(resolvedModel) === "native") {
+      return this._processNativeOpenAIRequest(req, res, requestId, model);
+    }
 
     // 1. 翻译请求体 (逻辑保持不变)
     let googleBody;
     try {
-      googleBody = this._translateOpenAIToGoogle(req.body, model);
+      await this._prepareOpenAIMediaParts(req.body.messages);
+      googleBody = this._translateOpenAIToGoogle(req.body, resolvedModel);
+      this._applyGenerationPolicy(googleBody, model, req.clientApiKey);
     } catch (error) {
       this.logger.error(`[Adapter] OpenAI请求翻译失败: ${error.message}`);
       return this._sendErrorResponse(
         res,
-        400,
-        "Invalid OpenAI request format."
+        error.status || 400,
+        `Invalid OpenAI request format: ${error.message}`
       );
     }
 
@@ -1001,25 +1332,34 @@ class RequestHandler {
     const googleEndpoint = isOpenAIStream
       ? "streamGenerateContent"
       : "generateContent";
-    const proxyRequest = {
-      path: `/v1beta/models/${model}:${googleEndpoint}`,
+    const buildProxyRequest = (targetModel) => ({
+      path: `/v1beta/models/${targetModel}:${googleEndpoint}`,
       method: "POST",
       headers: { "Content-Type": "application/json" },
       query_params: isOpenAIStream ? { alt: "sse" } : {},
-      body: JSON.stringify(googleBody),
+      body: JSON.stringify(
+        this._withThinkingConfigForModel(
+          googleBody,
+          req.body,
+          targetModel,
+          targetModel === resolvedModel
+        )
+      ),
       request_id: requestId,
       // [关键修改] 明确标记这是一个生成式请求，以便切换逻辑可以正确重置失败计数
       is_generative: true,
       streaming_mode: "real",
       client_wants_stream: true,
-    };
-
-    const messageQueue = this.connectionRegistry.createMessageQueue(requestId);
+    });
 
     try {
-      // [新增-步骤1] 统一发送请求并等待初始响应
-      this._forwardRequest(proxyRequest);
-      const initialMessage = await messageQueue.dequeue(); // 等待第一个消息，可能是headers或error
+      // [新增-步骤1] 统一发送请求并等待初始响应（主模型过载时按后备链换模型重发）
+      const { messageQueue, initialMessage } =
+        await this._dispatchWithModelFallback(
+          requestId,
+          model,
+          buildProxyRequest
+        );
 
       // [新增-步骤2] 检查初始响应是否为错误
       if (initialMessage.event_type === "error") {
@@ -1068,37 +1408,53 @@ class RequestHandler {
         });
 
         // initialMessage 是 headers，在OpenAI适配器中我们不需要它，所以直接开始循环处理后续的 chunk
-        let lastGoogleChunk = "";
+        let lastGoogleData = "";
+        const sseParser = new SSEParser();
+        const streamState = this._createOpenAIStreamState(
+          requestId,
+          req.body.stream_options?.include_usage === true
+        );
+        const writeEvents = (events) => {
+          for (const event of events) {
+            const translatedChunk = this._translateGoogleToOpenAIStream(
+              event.data,
+              model,
+              streamState
+            );
+            if (translatedChunk) {
+              res.write(translatedChunk);
+            }
+            lastGoogleData = event.data; // [修正] 总是记录最后一个完整事件
+          }
+        };
         while (true) {
           const message = await messageQueue.dequeue(300000); // 5分钟超时
           if (message.type === "STREAM_END") {
+            writeEvents(sseParser.flush());
+            if (streamState.includeUsage) {
+              res.write(
+                this._buildOpenAIStreamChunk(streamState, model, [], {
+                  usage: this._translateGoogleUsage(streamState.usageMetadata),
+                })
+              );
+            }
             res.write("data: [DONE]\n\n");
             break;
           }
           if (message.data) {
-            const translatedChunk = this._translateGoogleToOpenAIStream(
-              message.data,
-              model
-            );
-            if (translatedChunk) {
-              res.write(translatedChunk);
-            }
-            lastGoogleChunk = message.data; // [修正] 总是记录最后一个数据块
+            writeEvents(sseParser.push(message.data));
           }
         }
 
         // 记录结束原因
         try {
-          if (lastGoogleChunk.startsWith("data: ")) {
-            const jsonString = lastGoogleChunk.substring(6).trim();
-            if (jsonString) {
-              const lastResponse = JSON.parse(jsonString);
-              const finishReason =
-                lastResponse.candidates?.[0]?.finishReason || "UNKNOWN";
-              this.logger.info(
-                `✅ [Request] OpenAI流式响应结束，原因: ${finishReason}，请求ID: ${requestId}`
-              );
-            }
+          if (lastGoogleData) {
+            const lastResponse = JSON.parse(lastGoogleData);
+            const finishReason =
+              lastResponse.candidates?.[0]?.finishReason || "UNKNOWN";
+            this.logger.info(
+              `✅ [Request] OpenAI流式响应结束，原因: ${finishReason}，请求ID: ${requestId}`
+            );
           }
         } catch (e) {
           // 解析失败则不记录
@@ -1119,43 +1475,26 @@ class RequestHandler {
         }
 
         const googleResponse = JSON.parse(fullBody);
-        const candidate = googleResponse.candidates?.[0];
-
-        // 后续的翻译逻辑保持不变...
-        let responseContent = "";
-        if (
-          candidate &&
-          candidate.content &&
-          Array.isArray(candidate.content.parts)
-        ) {
-          const imagePart = candidate.content.parts.find((p) => p.inlineData);
-          if (imagePart) {
-            const image = imagePart.inlineData;
-            responseContent = `![Generated Image](data:${image.mimeType};base64,${image.data})`;
-            this.logger.info(
-              "[Adapter] 从 parts.inlineData 中成功解析到图片。"
-            );
-          } else {
-            responseContent =
-              candidate.content.parts.map((p) => p.text).join("\n") || "";
-          }
-        }
+        // 没有候选时仍返回一个空 choice，保持原有行为
+        const candidates = googleResponse.candidates?.length
+          ? googleResponse.candidates
+          : [{}];
 
         const openaiResponse = {
           id: `chatcmpl-${requestId}`,
           object: "chat.completion",
           created: Math.floor(Date.now() / 1000),
           model: model,
-          choices: [
-            {
-              index: 0,
-              message: { role: "assistant", content: responseContent },
-              finish_reason: candidate?.finishReason || "UNKNOWN",
-            },
-          ],
+          choices: candidates.map((candidate, position) =>
+            this._translateGoogleCandidateToOpenAIChoice(
+              candidate,
+              candidate.index ?? position
+            )
+          ),
+          usage: this._translateGoogleUsage(googleResponse.usageMetadata),
         };
 
-        const finishReason = candidate?.finishReason || "UNKNOWN";
+        const finishReason = candidates[0].finishReason || "UNKNOWN";
         this.logger.info(
           `✅ [Request] OpenAI非流式响应结束，原因: ${finishReason}，请求ID: ${requestId}`
         );
@@ -1173,541 +1512,4098 @@ class RequestHandler {
     }
   }
 
-  // --- 新增一个辅助方法，用于发送取消指令 ---
-  _cancelBrowserRequest(requestId) {
-    const connection = this.connectionRegistry.getFirstConnection();
-    if (connection) {
-      this.logger.info(
-        `[Request] 正在向浏览器发送取消请求 #${requestId} 的指令...`
-      );
-      connection.send(
-        JSON.stringify({
-          event_type: "cancel_request",
-          request_id: requestId,
-        })
+  // 单个模型的配置优先于全局默认模式
+  _getOpenAIAdapterMode(model) {
+    const modelModes = this.config.openaiAdapterModels || {};
+    return modelModes[model] || this.config.openaiAdapterMode;
+  }
+
+  // 原生模式：请求体转发到 Google 自带的 OpenAI 兼容端点，不做本地翻译；
+  // 远程图片下载和生成策略仍与翻译模式一样在转发前完成
+  async _processNativeOpenAIRequest(req, res, requestId, model) {
+    const isStream = req.body.stream === true;
+    this.logger.info(
+      `[Adapter] 模型 ${model} 使用原生OpenAI兼容端点，跳过本地翻译。`
+    );
+    try {
+      await this._prepareOpenAIMediaParts(req.body.messages, {
+        offloadToFilesApi: false,
+      });
+      this._applyGenerationPolicyToOpenAIBody(
+        req.body,
+        model,
+        req.clientApiKey
       );
-    } else {
-      this.logger.warn(
-        `[Request] 无法发送取消指令：没有可用的浏览器WebSocket连接。`
+    } catch (error) {
+      this.logger.error(`[Adapter] OpenAI请求预处理失败: ${error.message}`);
+      return this._sendErrorResponse(
+        res,
+        error.status || 400,
+        `Invalid OpenAI request format: ${error.message}`
       );
     }
+    await this._executeGeminiGeneration(res, {
+      requestId,
+      model,
+      googleBody: req.body,
+      isStream,
+      label: "OpenAI(原生)",
+      path: "/v1beta/openai/chat/completions",
+      queryParams: {},
+      modelInBody: true,
+      sendError: (status, message) =>
+        this._sendErrorResponse(res, status, message),
+      // Google 的流本身就是 OpenAI 格式（含 [DONE]），逐个事件原样写回
+      onStreamData: (data) => `data: ${data}\n\n`,
+      onStreamEnd: () => "",
+      onStreamError: (error) =>
+        `data: ${JSON.stringify({
+          error: { message: error.message, type: "server_error" },
+        })}\n\n`,
+      onResponse: (openaiResponse) => res.status(200).json(openaiResponse),
+    });
   }
 
-  _generateRequestId() {
-    return `${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
-  }
-  _buildProxyRequest(req, requestId) {
-    let requestBody = "";
-    if (req.body) {
-      requestBody = JSON.stringify(req.body);
+  async processOpenAIEmbeddingRequest(req, res) {
+    const requestId = this._generateRequestId();
+    const model = this._resolveModelName(
+      req.body.model || "gemini-embedding-001"
+    );
+    const { input, dimensions, encoding_format } = req.body;
+
+    const inputs = Array.isArray(input) ? input : [input];
+    if (
+      inputs.length === 0 ||
+      !inputs.every((item) => typeof item === "string" && item.length > 0)
+    ) {
+      return this._sendErrorResponse(
+        res,
+        400,
+        "Invalid embeddings request: input must be a non-empty string or an array of non-empty strings."
+      );
     }
-    return {
-      path: req.path,
-      method: req.method,
-      headers: req.headers,
-      query_params: req.query,
-      body: requestBody,
-      request_id: requestId,
-      streaming_mode: this.serverSystem.streamingMode,
-    };
-  }
-  _forwardRequest(proxyRequest) {
-    const connection = this.connectionRegistry.getFirstConnection();
-    if (connection) {
-      connection.send(JSON.stringify(proxyRequest));
-    } else {
-      throw new Error("无法转发请求：没有可用的WebSocket连接。");
+    if (
+      dimensions !== undefined &&
+      (!Number.isInteger(dimensions) || dimensions < 1)
+    ) {
+      return this._sendErrorResponse(
+        res,
+        400,
+        "Invalid embeddings request: dimensions must be a positive integer."
+      );
     }
-  }
-  _sendErrorChunkToClient(res, errorMessage) {
-    const errorPayload = {
-      error: {
-        message: `[代理系统提示] ${errorMessage}`,
-        type: "proxy_error",
-        code: "proxy_error",
-      },
+
+    const googleBody = {
+      requests: inputs.map((text) => ({
+        model: `models/${model}`,
+        content: { parts: [{ text: text }] },
+        ...(dimensions && { outputDimensionality: dimensions }),
+      })),
     };
-    const chunk = `data: ${JSON.stringify(errorPayload)}\n\n`;
-    if (res && !res.writableEnded) {
-      res.write(chunk);
-      this.logger.info(`[Request] 已向客户端发送标准错误信号: ${errorMessage}`);
-    }
-  }
 
-  async _handlePseudoStreamResponse(proxyRequest, messageQueue, req, res) {
     this.logger.info(
-      "[Request] 客户端启用流式传输 (fake)，进入伪流式处理模式..."
+      `[Adapter] Embeddings 请求: ${inputs.length} 条输入，模型: ${model}`
     );
-    res.status(200).set({
-      "Content-Type": "text/event-stream",
-      "Cache-Control": "no-cache",
-      Connection: "keep-alive",
+    const googleResponse = await this._forwardJsonRequest(
+      res,
+      requestId,
+      `/v1beta/models/${model}:batchEmbedContents`,
+      googleBody
+    );
+    if (!googleResponse) return;
+
+    const data = (googleResponse.embeddings || []).map((embedding, index) => ({
+      object: "embedding",
+      index: index,
+      embedding:
+        encoding_format === "base64"
+          ? Buffer.from(new Float32Array(embedding.values).buffer).toString(
+              "base64"
+            )
+          : embedding.values,
+    }));
+    // batchEmbedContents 通常不返回 token 统计，缺失时按 0 上报
+    const promptTokens = googleResponse.usageMetadata?.promptTokenCount || 0;
+    res.status(200).json({
+      object: "list",
+      data: data,
+      model: model,
+      usage: { prompt_tokens: promptTokens, total_tokens: promptTokens },
     });
-    const connectionMaintainer = setInterval(() => {
-      if (!res.writableEnded) res.write(": keep-alive\n\n");
-    }, 15000);
-
-    try {
-      let lastMessage,
-        requestFailed = false;
+  }
 
-      // 我们的重试循环（即使只跑一次）
-      for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-        if (attempt > 1) {
-          this.logger.info(
-            `[Request] 请求尝试 #${attempt}/${this.maxRetries}...`
-          );
-        }
-        this._forwardRequest(proxyRequest);
-        try {
-          const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(
-              () =>
-                reject(
-                  new Error("Response from browser timed out after 300 seconds")
-                ),
-              300000
-            )
-          );
-          lastMessage = await Promise.race([
-            messageQueue.dequeue(),
-            timeoutPromise,
-          ]);
-        } catch (timeoutError) {
-          this.logger.error(`[Request] 致命错误: ${timeoutError.message}`);
-          lastMessage = {
-            event_type: "error",
-            status: 504,
-            message: timeoutError.message,
-          };
-        }
+  async processOpenAIImageRequest(req, res, isEdit = false) {
+    const { prompt, n = 1, size, response_format = "b64_json" } = req.body;
+    const model = this._resolveModelName(
+      req.body.model || "gemini-2.5-flash-image-preview"
+    );
+    const isImagenModel = model.startsWith("imagen");
 
-        if (lastMessage.event_type === "error") {
-          // --- 核心修改：在这里就区分，避免打印不必要的“失败”日志 ---
-          if (
-            !(
-              lastMessage.message &&
-              lastMessage.message.includes("The user aborted a request")
-            )
-          ) {
-            // 只有在不是“用户取消”的情况下，才打印“尝试失败”的警告
-            this.logger.warn(
-              `[Request] 尝试 #${attempt} 失败: 收到 ${
-                lastMessage.status || "未知"
-              } 错误。 - ${lastMessage.message}`
-            );
-          }
+    if (!prompt || typeof prompt !== "string") {
+      return this._sendErrorResponse(res, 400, "prompt is required.");
+    }
+    const count = parseInt(n, 10);
+    if (!Number.isInteger(count) || count < 1 || count > 8) {
+      return this._sendErrorResponse(
+        res,
+        400,
+        "n must be an integer between 1 and 8."
+      );
+    }
+    if (!["b64_json", "url"].includes(response_format)) {
+      return this._sendErrorResponse(
+        res,
+        400,
+        'response_format must be "b64_json" or "url".'
+      );
+    }
+    const aspectRatio = size ? this._sizeToAspectRatio(size) : null;
+    if (size && !aspectRatio) {
+      return this._sendErrorResponse(res, 400, `Unsupported size: ${size}`);
+    }
 
-          if (attempt < this.maxRetries) {
-            await new Promise((resolve) =>
-              setTimeout(resolve, this.retryDelay)
-            );
-            continue;
-          }
-          requestFailed = true;
-        }
-        break;
+    let sourceImages = [];
+    if (isEdit) {
+      if (isImagenModel) {
+        return this._sendErrorResponse(
+          res,
+          400,
+          "Image edits are only supported for Gemini image models."
+        );
       }
-
-      // 处理最终结果
-      if (requestFailed) {
-        if (
-          lastMessage.message &&
-          lastMessage.message.includes("The user aborted a request")
-        ) {
-          this.logger.info(
-            `[Request] 请求 #${proxyRequest.request_id} 已由用户妥善取消，不计入失败统计。`
-          );
-        } else {
-          this.logger.error(
-            `[Request] 所有 ${this.maxRetries} 次重试均失败，将计入失败统计。`
-          );
-          await this._handleRequestFailureAndSwitch(lastMessage, res);
-          this._sendErrorChunkToClient(
-            res,
-            `请求最终失败: ${lastMessage.message}`
-          );
-        }
-        return;
+      if (req.files?.mask || req.body.mask) {
+        return this._sendErrorResponse(
+          res,
+          400,
+          "mask is not supported: Gemini edits the whole image from the prompt."
+        );
       }
-
-      // 成功的逻辑
-      if (proxyRequest.is_generative && this.failureCount > 0) {
-        this.logger.info(
-          `✅ [Auth] 生成请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+      try {
+        sourceImages = await this._collectSourceImages(req);
+      } catch (error) {
+        return this._sendErrorResponse(
+          res,
+          error.status || 400,
+          `Invalid source image: ${error.message}`
         );
-        this.failureCount = 0;
       }
-      const dataMessage = await messageQueue.dequeue();
-      const endMessage = await messageQueue.dequeue();
-      if (dataMessage.data) {
-        res.write(`data: ${dataMessage.data}\n\n`);
+      if (sourceImages.length === 0) {
+        return this._sendErrorResponse(
+          res,
+          400,
+          "At least one source image is required for edits."
+        );
       }
-      if (endMessage.type !== "STREAM_END") {
-        this.logger.warn("[Request] 未收到预期的流结束信号。");
+    }
+
+    this.logger.info(
+      `[Adapter] 图片${
+        isEdit ? "编辑" : "生成"
+      }请求: ${count} 张，模型: ${model}`
+    );
+
+    const images = [];
+    if (isImagenModel) {
+      const googleResponse = await this._forwardJsonRequest(
+        res,
+        this._generateRequestId(),
+        `/v1beta/models/${model}:predict`,
+        {
+          instances: [{ prompt: prompt }],
+          parameters: {
+            sampleCount: count,
+            ...(aspectRatio && { aspectRatio: aspectRatio }),
+          },
+        },
+        true
+      );
+      if (!googleResponse) return;
+      for (const prediction of googleResponse.predictions || []) {
+        if (prediction.bytesBase64Encoded) {
+          images.push({
+            mimeType: prediction.mimeType || "image/png",
+            data: prediction.bytesBase64Encoded,
+          });
+        }
       }
-      try {
-        const fullResponse = JSON.parse(dataMessage.data);
-        const finishReason =
-          fullResponse.candidates?.[0]?.finishReason || "UNKNOWN";
-        this.logger.info(
-          `✅ [Request] 响应结束，原因: ${finishReason}，请求ID: ${proxyRequest.request_id}`
+    } else {
+      // Gemini 图片模型每次只稳定返回一张图，n > 1 时逐次请求
+      const googleBody = {
+        contents: [
+          {
+            role: "user",
+            parts: [
+              ...sourceImages.map((image) => ({ inlineData: image })),
+              { text: prompt },
+            ],
+          },
+        ],
+        generationConfig: {
+          responseModalities: ["TEXT", "IMAGE"],
+          ...(aspectRatio && { imageConfig: { aspectRatio: aspectRatio } }),
+        },
+      };
+      for (let i = 0; i < count; i++) {
+        const googleResponse = await this._forwardJsonRequest(
+          res,
+          this._generateRequestId(),
+          `/v1beta/models/${model}:generateContent`,
+          googleBody,
+          true
         );
-      } catch (e) {}
-      res.write("data: [DONE]\n\n");
-    } catch (error) {
-      this._handleRequestError(error, res);
-    } finally {
-      clearInterval(connectionMaintainer);
-      if (!res.writableEnded) {
-        res.end();
+        if (!googleResponse) return;
+        for (const candidate of googleResponse.candidates || []) {
+          for (const part of candidate.content?.parts || []) {
+            if (part.inlineData) images.push(part.inlineData);
+          }
+        }
       }
-      this.logger.info(
-        `[Request] 响应处理结束，请求ID: ${proxyRequest.request_id}`
+    }
+
+    if (images.length === 0) {
+      return this._sendErrorResponse(
+        res,
+        502,
+        "The model did not return any image (it may have been blocked by safety filters)."
       );
     }
+
+    res.status(200).json({
+      created: Math.floor(Date.now() / 1000),
+      data: images.map((image) =>
+        response_format === "url"
+          ? { url: this._storeGeneratedImage(image, req) }
+          : { b64_json: image.data }
+      ),
+    });
   }
 
-  async _handleRealStreamResponse(proxyRequest, messageQueue, res) {
-    this.logger.info(`[Request] 请求已派发给浏览器端处理...`);
-    this._forwardRequest(proxyRequest);
-    const headerMessage = await messageQueue.dequeue();
+  // url 格式的图片暂存在内存中，由本代理的 /v1/images/files/:id 提供下载。
+  // id 为随机值，链接本身即凭证，只保留最近 maxStoredImages 张
+  _storeGeneratedImage(image, req) {
+    const id = crypto.randomBytes(16).toString("hex");
+    this.imageStore.set(id, {
+      mimeType: image.mimeType,
+      buffer: Buffer.from(image.data, "base64"),
+    });
+    while (this.imageStore.size > this.maxStoredImages) {
+      this.imageStore.delete(this.imageStore.keys().next().value);
+    }
+    return `${this._getRequestOrigin(req)}/v1/images/files/${id}`;
+  }
 
-    if (headerMessage.event_type === "error") {
-      if (
-        headerMessage.message &&
-        headerMessage.message.includes("The user aborted a request")
-      ) {
+  // 客户端访问本代理时使用的 协议://主机：优先使用配置的 publicBaseUrl；
+  // 否则取 req.protocol 与 Host 头，只有设置了 trustProxy 时 req.protocol 才会采信 x-forwarded-proto，
+  // 避免客户端伪造 x-forwarded-* 让代理返回指向任意主机的链接
+  _getRequestOrigin(req) {
+    if (this.config.publicBaseUrl) {
+      return this.config.publicBaseUrl.replace(/\/+$/, "");
+    }
+    return `${req.protocol}://${req.get("host")}`;
+  }
+
+  // 汇总编辑请求的源图片：multipart 上传的文件，以及 JSON 里的 data URL、http(s) 链接或裸 base64
+  async _collectSourceImages(req) {
+    const images = [];
+    const uploadedFiles = [
+      ...(req.files?.image || []),
+      ...(req.files?.["image[]"] || []),
+    ];
+    for (const file of uploadedFiles) {
+      images.push({
+        mimeType: file.mimetype,
+        data: file.buffer.toString("base64"),
+      });
+    }
+
+    // JSON 请求体: image 为字符串，或 images: [{ image_url }]（image_url 可为字符串或 { url }）
+    const jsonImages = [
+      ...[].concat(req.body.image || []),
+      ...(req.body.images || []).map(
+        (item) => item.image_url?.url || item.image_url || item
+      ),
+    ];
+    for (const value of jsonImages) {
+      if (typeof value !== "string") continue;
+      const match = value.match(/^data:(image\/[^;]+);base64,(.*)$/);
+      if (match) {
+        images.push({ mimeType: match[1], data: match[2] });
+      } else if (/^https?:\/\//i.test(value)) {
+        const media = await this._fetchRemoteMedia(value);
+        if (!media.mimeType.startsWith("image/")) {
+          throw Object.assign(
+            new Error(
+              `${value} returned non-image content type ${media.mimeType}`
+            ),
+            { status: 400 }
+          );
+        }
+        images.push(media);
+      } else if (/^[A-Za-z0-9+/]+={0,2}$/.test(value.replace(/\s/g, ""))) {
+        images.push({ mimeType: "image/png", data: value.replace(/\s/g, "") });
+      } else {
+        throw Object.assign(
+          new Error(
+            "image must be a data URL, an http(s) URL or a base64 string"
+          ),
+          { status: 400 }
+        );
+      }
+    }
+    return images;
+  }
+
+  _sizeToAspectRatio(size) {
+    const match = String(size).match(/^(\d+)x(\d+)$/);
+    if (!match) return null;
+    const ratio = parseInt(match[1], 10) / parseInt(match[2], 10);
+    const supportedRatios = [
+      "1:1",
+      "2:3",
+      "3:2",
+      "3:4",
+      "4:3",
+      "4:5",
+      "5:4",
+      "9:16",
+      "16:9",
+      "21:9",
+    ];
+    // 取最接近的受支持宽高比
+    let closest = null;
+    let closestDistance = Infinity;
+    for (const candidate of supportedRatios) {
+      const [w, h] = candidate.split(":").map(Number);
+      const distance = Math.abs(Math.log(ratio / (w / h)));
+      if (distance < closestDistance) {
+        closest = candidate;
+        closestDistance = distance;
+      }
+    }
+    return closest;
+  }
+
+  async processAnthropicRequest(req, res) {
+    const requestId = this._generateRequestId();
+    const isStream = req.body.stream === true;
+    const model = req.body.model;
+
+    let googleBody;
+    try {
+      if (!model) throw new Error("model is required");
+      if (!Number.isInteger(req.body.max_tokens)) {
+        throw new Error("max_tokens is required");
+      }
+      googleBody = this._translateAnthropicToGoogle(req.body);
+      this._applyGenerationPolicy(googleBody, model, req.clientApiKey);
+    } catch (error) {
+      this.logger.error(`[Adapter] Anthropic请求翻译失败: ${error.message}`);
+      return this._sendAnthropicErrorResponse(res, 400, error.message);
+    }
+
+    const stopSequences = [].concat(req.body.stop_sequences || []);
+    const streamState = this._createAnthropicStreamState(
+      requestId,
+      model,
+      stopSequences
+    );
+    await this._executeGeminiGeneration(res, {
+      requestId,
+      model,
+      googleBody,
+      isStream,
+      label: "Anthropic",
+      sendError: (status, message) =>
+        this._sendAnthropicErrorResponse(res, status, message),
+      onStreamData: (data) =>
+        this._translateGoogleToAnthropicStream(data, streamState),
+      onStreamEnd: () => this._finishAnthropicStream(streamState),
+      isStreamComplete: () => streamState.stopSequence !== null,
+      onStreamError: (error) =>
+        this._buildAnthropicEvent("error", {
+          type: "error",
+          error: { type: "api_error", message: error.message },
+        }),
+      onResponse: (googleResponse) => {
+        const anthropicResponse = this._translateGoogleToAnthropic(
+          googleResponse,
+          requestId,
+          model,
+          stopSequences
+        );
         this.logger.info(
-          `[Request] 请求 #${proxyRequest.request_id} 已被用户妥善取消，不计入失败统计。`
+          `✅ [Request] Anthropic非流式响应结束，原因: ${anthropicResponse.stop_reason}，请求ID: ${requestId}`
         );
-      } else {
-        this.logger.error(`[Request] 请求失败，将计入失败统计。`);
-        await this._handleRequestFailureAndSwitch(headerMessage, null);
+        res.status(200).json(anthropicResponse);
+      },
+    });
+  }
+
+  async processResponsesRequest(req, res) {
+    const requestId = this._generateRequestId();
+    const isStream = req.body.stream === true;
+    const model = req.body.model || this.config.defaultModel;
+
+    let previous = null;
+    if (req.body.previous_response_id) {
+      previous = this.responseStore.get(req.body.previous_response_id);
+      if (!previous) {
         return this._sendErrorResponse(
           res,
-          headerMessage.status,
-          headerMessage.message
+          404,
+          `Previous response '${req.body.previous_response_id}' not found.`
         );
       }
-      if (!res.writableEnded) res.end();
-      return;
     }
 
-    // --- 核心修改：只有在生成请求成功时，才重置失败计数 ---
-    if (proxyRequest.is_generative && this.failureCount > 0) {
-      this.logger.info(
-        `✅ [Auth] 生成请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+    let chatBody;
+    let googleBody;
+    try {
+      chatBody = this._translateResponsesToChat(req.body, previous);
+      await this._prepareOpenAIMediaParts(chatBody.messages);
+      googleBody = this._translateOpenAIToGoogle(
+        chatBody,
+        this._resolveModelName(model)
+      );
+      this._applyGenerationPolicy(googleBody, model, req.clientApiKey);
+    } catch (error) {
+      this.logger.error(`[Adapter] Responses请求翻译失败: ${error.message}`);
+      return this._sendErrorResponse(
+        res,
+        error.status || 400,
+        `Invalid Responses request format: ${error.message}`
       );
-      this.failureCount = 0;
     }
-    // --- 修改结束 ---
 
-    this._setResponseHeaders(res, headerMessage);
-    this.logger.info("[Request] 开始流式传输...");
-    try {
-      let lastChunk = "";
-      while (true) {
-        const dataMessage = await messageQueue.dequeue(30000);
-        if (dataMessage.type === "STREAM_END") {
-          this.logger.info("[Request] 收到流结束信号。");
-          break;
-        }
-        if (dataMessage.data) {
-          res.write(dataMessage.data);
-          lastChunk = dataMessage.data;
-        }
+    const state = this._createResponsesState(requestId, model, req.body);
+    // 完成后存档，供 previous_response_id 续接对话
+    const finalize = () => {
+      const response = this._buildResponsesObject(state);
+      if (req.body.store !== false) {
+        const history = chatBody.messages.filter((m) => m.role !== "system");
+        this._storeResponse(response, [
+          ...history,
+          ...this._translateResponsesOutputToChat(response.output),
+        ]);
       }
-      try {
-        if (lastChunk.startsWith("data: ")) {
-          const jsonString = lastChunk.substring(6).trim();
-          if (jsonString) {
-            const lastResponse = JSON.parse(jsonString);
-            const finishReason =
-              lastResponse.candidates?.[0]?.finishReason || "UNKNOWN";
-            this.logger.info(
-              `✅ [Request] 响应结束，原因: ${finishReason}，请求ID: ${proxyRequest.request_id}`
-            );
-          }
-        }
-      } catch (e) {}
-    } catch (error) {
-      if (error.message !== "Queue timeout") throw error;
-      this.logger.warn("[Request] 真流式响应超时，可能流已正常结束。");
-    } finally {
-      if (!res.writableEnded) res.end();
       this.logger.info(
-        `[Request] 真流式响应连接已关闭，请求ID: ${proxyRequest.request_id}`
+        `✅ [Request] Responses响应结束，状态: ${response.status}，请求ID: ${requestId}`
       );
-    }
+      return response;
+    };
+
+    await this._executeGeminiGeneration(res, {
+      requestId,
+      model,
+      googleBody,
+      openaiBody: chatBody,
+      isStream,
+      label: "Responses",
+      sendError: (status, message) =>
+        this._sendErrorResponse(res, status, message),
+      onStreamStart: () => this._startResponsesStream(state),
+      onStreamData: (data) => {
+        try {
+          return this._applyGoogleResponseToResponsesState(
+            JSON.parse(data),
+            state
+          );
+        } catch (e) {
+          this.logger.warn(`[Adapter] 无法解析Google返回的JSON块: ${data}`);
+          return "";
+        }
+      },
+      onStreamEnd: () => {
+        const events = this._closeResponsesOutputItem(state);
+        const response = finalize();
+        // 结束事件与最终状态一致：被 max_output_tokens 截断时发送 response.incomplete
+        const eventType =
+          response.status === "incomplete"
+            ? "response.incomplete"
+            : "response.completed";
+        return (
+          events +
+          this._buildResponsesEvent(state, eventType, { response: response })
+        );
+      },
+      onStreamError: (error) =>
+        this._buildResponsesEvent(state, "error", {
+          code: "server_error",
+          message: error.message,
+          param: null,
+        }),
+      onResponse: (googleResponse) => {
+        this._applyGoogleResponseToResponsesState(googleResponse, state);
+        this._closeResponsesOutputItem(state);
+        res.status(200).json(finalize());
+      },
+    });
   }
 
-  async _handleNonStreamResponse(proxyRequest, messageQueue, res) {
-    this.logger.info(`[Request] 进入非流式处理模式...`);
+  // 补全中间内容 (fill-in-the-middle)：Gemini 没有 suffix 参数，改为一条系统指令。
+  // /v1/completions 和 Ollama /api/generate 共用同一段提示
+  _buildSuffixInstruction(suffix) {
+    return {
+      role: "system",
+      content: `Continue the user's text so that it flows naturally into the following suffix. Output only the inserted text, without repeating the prompt or the suffix.\n\nSuffix:\n${suffix}`,
+    };
+  }
 
-    // 转发请求到浏览器端
-    this._forwardRequest(proxyRequest);
+  async processOpenAICompletionRequest(req, res) {
+    const requestId = this._generateRequestId();
+    const isStream = req.body.stream === true;
+    const model = req.body.model || this.config.defaultModel;
+    const { suffix, echo } = req.body;
+    const n = req.body.n || 1;
+
+    let prompts = req.body.prompt;
+    let googleBodies;
+    try {
+      if (prompts === undefined || prompts === null) {
+        throw new Error("prompt is required");
+      }
+      // 与 OpenAI 一致：数组中的每个 prompt 各自生成一次，choices 按 prompt 顺序展开
+      if (!Array.isArray(prompts)) prompts = [prompts];
+      if (prompts.length === 0 || prompts.some((p) => typeof p !== "string")) {
+        throw new Error("prompt must be a string or an array of strings");
+      }
+      // echo + max_tokens: 0 / logprobs 是给 prompt 打分的用法，Gemini 无法返回 prompt 的 logprobs
+      if (echo && (req.body.max_tokens === 0 || req.body.logprobs != null)) {
+        throw new Error(
+          "echo combined with max_tokens: 0 or logprobs is not supported: prompt token logprobs are unavailable"
+        );
+      }
+
+      googleBodies = prompts.map((prompt) => {
+        // 复用 chat 翻译流程：prompt 作为单个 user 回合
+        const messages = [];
+        if (suffix) messages.push(this._buildSuffixInstruction(suffix));
+        messages.push({ role: "user", content: prompt });
+        const googleBody = this._translateOpenAIToGoogle(
+          {
+            messages: messages,
+            temperature: req.body.temperature,
+            top_p: req.body.top_p,
+            max_tokens: req.body.max_tokens,
+            stop: req.body.stop,
+            n: req.body.n,
+            presence_penalty: req.body.presence_penalty,
+            frequency_penalty: req.body.frequency_penalty,
+            seed: req.body.seed,
+          },
+          this._resolveModelName(model)
+        );
+        this._applyGenerationPolicy(googleBody, model, req.clientApiKey);
+        return googleBody;
+      });
+    } catch (error) {
+      this.logger.error(`[Adapter] Completions请求翻译失败: ${error.message}`);
+      return this._sendErrorResponse(
+        res,
+        400,
+        `Invalid completions request format: ${error.message}`
+      );
+    }
+
+    const id = `cmpl-${requestId}`;
+    const created = Math.floor(Date.now() / 1000);
+    const includeUsage = req.body.stream_options?.include_usage === true;
+    const totalUsage = {};
+    const choices = [];
+    const streamErrorChunk = (message) =>
+      `data: ${JSON.stringify({
+        error: { message: message, type: "proxy_error" },
+      })}\n\n`;
+    let failed = false;
+
+    // 多个 prompt 依次生成，共用同一个响应；任一失败或客户端断开即停止
+    for (let i = 0; i < prompts.length && !failed && !res.destroyed; i++) {
+      const isLast = i === prompts.length - 1;
+      const streamState = {
+        id: id,
+        created: created,
+        model: model,
+        indexOffset: i * n,
+        echoPrompt: echo ? prompts[i] : null,
+        echoedChoices: new Set(),
+        usageMetadata: null,
+      };
+      await this._executeGeminiGeneration(res, {
+        requestId: prompts.length > 1 ? `${requestId}_${i}` : requestId,
+        model,
+        googleBody: googleBodies[i],
+        isStream,
+        label: "Completions",
+        keepResponseOpen: !isLast,
+        sendError: (status, message) => {
+          failed = true;
+          if (res.headersSent) {
+            if (!res.writableEnded) res.write(streamErrorChunk(message));
+            return;
+          }
+          this._sendErrorResponse(res, status, message);
+        },
+        onStreamData: (data) =>
+          this._translateGoogleToCompletionStream(data, streamState),
+        onStreamEnd: () => {
+          this._accumulateGoogleUsage(totalUsage, streamState.usageMetadata);
+          if (!isLast) return "";
+          let output = "";
+          if (includeUsage) {
+            output += this._buildCompletionChunk(streamState, [], {
+              usage: this._translateGoogleUsage(totalUsage),
+            });
+          }
+          return output + "data: [DONE]\n\n";
+        },
+        onStreamError: (error) => {
+          failed = true;
+          return streamErrorChunk(error.message);
+        },
+        onResponse: (googleResponse) => {
+          this._accumulateGoogleUsage(totalUsage, googleResponse.usageMetadata);
+          const candidates = googleResponse.candidates?.length
+            ? googleResponse.candidates
+            : [{}];
+          candidates.forEach((candidate, position) => {
+            choices.push({
+              text:
+                (echo ? prompts[i] : "") + this._extractGoogleText(candidate),
+              index: streamState.indexOffset + (candidate.index ?? position),
+              logprobs: null,
+              finish_reason: this._translateGoogleFinishReason(
+                candidate.finishReason
+              ),
+            });
+          });
+          if (!isLast) return;
+          res.status(200).json({
+            id: id,
+            object: "text_completion",
+            created: created,
+            model: model,
+            choices: choices,
+            usage: this._translateGoogleUsage(totalUsage),
+          });
+        },
+      });
+    }
+    if (!res.writableEnded) res.end();
+  }
+
+  // 把一次生成的 usageMetadata 累加到合计中（多 prompt 请求的 usage 为各次之和）
+  _accumulateGoogleUsage(total, usageMetadata) {
+    Object.entries(usageMetadata || {}).forEach(([key, value]) => {
+      if (typeof value === "number") total[key] = (total[key] || 0) + value;
+    });
+  }
+
+  async processOllamaRequest(req, res, endpoint) {
+    const requestId = this._generateRequestId();
+    // Ollama 默认就是流式，只有显式 stream: false 才返回单个对象
+    const isStream = req.body.stream !== false;
+    const modelName = req.body.model || "";
+    const model = modelName.replace(/:latest$/, "");
+    const sendError = (status, message) => {
+      if (!res.headersSent) res.status(status || 500).json({ error: message });
+    };
+
+    let chatBody;
+    let googleBody;
+    try {
+      if (!model) throw new Error("model is required");
+      chatBody = this._translateOllamaToChat(req.body, endpoint);
+      googleBody = this._translateOpenAIToGoogle(
+        chatBody,
+        this._resolveModelName(model)
+      );
+      this._applyGenerationPolicy(googleBody, model, req.clientApiKey);
+    } catch (error) {
+      this.logger.error(`[Adapter] Ollama请求翻译失败: ${error.message}`);
+      return sendError(400, error.message);
+    }
+
+    const streamState = this._createOllamaStreamState(endpoint, modelName);
+    await this._executeGeminiGeneration(res, {
+      requestId,
+      model,
+      googleBody,
+      openaiBody: chatBody,
+      isStream,
+      label: "Ollama",
+      streamContentType: "application/x-ndjson",
+      sendError: sendError,
+      onStreamData: (data) => {
+        try {
+          const googleResponse = JSON.parse(data);
+          if (googleResponse.usageMetadata) {
+            streamState.usageMetadata = googleResponse.usageMetadata;
+          }
+          const candidate = googleResponse.candidates?.[0];
+          if (candidate?.finishReason) {
+            streamState.finishReason = candidate.finishReason;
+          }
+          if (!candidate?.content?.parts?.length) return "";
+          return (
+            JSON.stringify(
+              this._buildOllamaResponse(streamState, candidate, false)
+            ) + "\n"
+          );
+        } catch (e) {
+          this.logger.warn(`[Adapter] 无法解析Google返回的JSON块: ${data}`);
+          return "";
+        }
+      },
+      onStreamEnd: () =>
+        JSON.stringify(this._buildOllamaResponse(streamState, {}, true)) + "\n",
+      onStreamError: (error) => JSON.stringify({ error: error.message }) + "\n",
+      onResponse: (googleResponse) => {
+        const candidate = googleResponse.candidates?.[0] || {};
+        streamState.usageMetadata = googleResponse.usageMetadata;
+        streamState.finishReason = candidate.finishReason;
+        res
+          .status(200)
+          .json(this._buildOllamaResponse(streamState, candidate, true));
+      },
+    });
+  }
+
+  // 通过浏览器执行一次生成请求：统一处理错误切换、失败计数以及流式SSE的逐事件解析。
+  // 流式时 onStreamData 对每个完整事件返回要写给客户端的文本，非流式时 onResponse 负责响应。
+  async _executeGeminiGeneration(res, options) {
+    const { requestId, model, googleBody, isStream, label } = options;
+    const googleEndpoint = isStream
+      ? "streamGenerateContent"
+      : "generateContent";
+    const buildProxyRequest = (targetModel) => ({
+      path: options.path || `/v1beta/models/${targetModel}:${googleEndpoint}`,
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      query_params: options.queryParams || (isStream ? { alt: "sse" } : {}),
+      // 原生 OpenAI 兼容端点的模型名在请求体里，需随后备模型一起替换；
+      // 由 OpenAI 格式翻译而来的请求体 (openaiBody) 按目标模型重新生成思考配置
+      body: JSON.stringify(
+        options.modelInBody
+          ? { ...googleBody, model: targetModel }
+          : options.openaiBody
+          ? this._withThinkingConfigForModel(
+              googleBody,
+              options.openaiBody,
+              targetModel,
+              targetModel === this._resolveModelName(model)
+            )
+          : googleBody
+      ),
+      request_id: requestId,
+      is_generative: true,
+      streaming_mode: isStream ? "real" : "fake",
+    });
+
+    // 客户端提前断开时让浏览器停止生成，并关闭消息队列结束等待；
+    // 浏览器随后回报的中止错误不再计入账号失败
+    let clientClosed = false;
+    const onClientClose = () => {
+      if (res.writableEnded) return;
+      clientClosed = true;
+      this.logger.warn(`[Request] 客户端已提前关闭请求 #${requestId} 的连接。`);
+      this._cancelBrowserRequest(requestId);
+      this.connectionRegistry.removeMessageQueue(requestId);
+    };
+    res.on("close", onClientClose);
+
+    try {
+      const { messageQueue, initialMessage } =
+        await this._dispatchWithModelFallback(
+          requestId,
+          model,
+          buildProxyRequest
+        );
+
+      if (initialMessage.event_type === "error") {
+        this.logger.error(
+          `[Adapter] 收到来自浏览器的错误，将触发切换逻辑。状态码: ${initialMessage.status}, 消息: ${initialMessage.message}`
+        );
+        await this._handleRequestFailureAndSwitch(initialMessage, null);
+        return options.sendError(
+          initialMessage.status || 500,
+          initialMessage.message
+        );
+      }
+
+      if (this.failureCount > 0) {
+        this.logger.info(
+          `✅ [Auth] ${label}接口请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+        );
+        this.failureCount = 0;
+      }
+
+      if (isStream) {
+        // keepResponseOpen 的多段生成共用一个响应，只有第一段发送响应头
+        if (!res.headersSent) {
+          res.status(200).set({
+            "Content-Type": options.streamContentType || "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+          });
+          if (options.onStreamStart) res.write(options.onStreamStart());
+        }
+
+        const sseParser = new SSEParser();
+        const writeEvents = (events) => {
+          for (const event of events) {
+            const translated = options.onStreamData(event.data);
+            if (translated) res.write(translated);
+          }
+        };
+        while (true) {
+          const message = await messageQueue.dequeue(300000);
+          if (message.type === "STREAM_END") {
+            writeEvents(sseParser.flush());
+            res.write(options.onStreamEnd());
+            break;
+          }
+          if (message.data) {
+            writeEvents(sseParser.push(message.data));
+          }
+          // 调用方已拿到完整结果 (如本地命中停止序列) 时提前结束，并让浏览器停止生成
+          if (options.isStreamComplete?.()) {
+            this._cancelBrowserRequest(requestId);
+            res.write(options.onStreamEnd());
+            break;
+          }
+        }
+        this.logger.info(
+          `✅ [Request] ${label}流式响应结束，请求ID: ${requestId}`
+        );
+      } else {
+        let fullBody = "";
+        while (true) {
+          const message = await messageQueue.dequeue(300000);
+          if (message.type === "STREAM_END") break;
+          if (message.event_type === "chunk" && message.data) {
+            fullBody += message.data;
+          }
+        }
+        options.onResponse(JSON.parse(fullBody));
+      }
+    } catch (error) {
+      if (clientClosed) {
+        this.logger.info(
+          `[Request] ${label}请求 #${requestId} 已随客户端断开而中止。`
+        );
+      } else if (res.headersSent) {
+        this.logger.error(
+          `[Request] 请求处理错误 (头已发送): ${error.message}`
+        );
+        if (!res.writableEnded) res.write(options.onStreamError(error));
+      } else {
+        this.logger.error(`[Request] 请求处理错误: ${error.message}`);
+        const status = error.message.includes("超时") ? 504 : 500;
+        options.sendError(status, error.message);
+      }
+    } finally {
+      res.off("close", onClientClose);
+      this.connectionRegistry.removeMessageQueue(requestId);
+      if (!options.keepResponseOpen && !res.writableEnded) {
+        res.end();
+      }
+    }
+  }
+
+  // 解析模型别名（支持多级映射，遇到循环即停止），并去掉可选的 "models/" 前缀
+  _resolveModelName(model) {
+    const aliases = this.config.modelAliases || {};
+    let resolved = String(model || this.config.defaultModel).replace(
+      /^models\//,
+      ""
+    );
+    const visited = new Set();
+    while (aliases[resolved] && !visited.has(resolved)) {
+      visited.add(resolved);
+      resolved = aliases[resolved];
+    }
+    return resolved;
+  }
+
+  _getModelFallbackChain(model) {
+    const primary = this._resolveModelName(model);
+    const fallbacks = [].concat(
+      (this.config.modelFallbacks || {})[primary] || []
+    );
+    return [
+      ...new Set([primary, ...fallbacks.map((m) => this._resolveModelName(m))]),
+    ];
+  }
+
+  _isModelFallbackError(errorMessage) {
+    return (
+      [429, 503].includes(errorMessage.status) ||
+      /overloaded/i.test(errorMessage.message || "")
+    );
+  }
+
+  // 发送请求并返回首个初始消息；主模型返回 429/503/过载时先依次尝试后备模型，
+  // 全部失败才把最后一个错误交给调用方（由调用方计入账号失败）
+  async _dispatchWithModelFallback(requestId, model, buildProxyRequest) {
+    const chain = this._getModelFallbackChain(model);
+    for (let i = 0; i < chain.length; i++) {
+      const messageQueue =
+        this.connectionRegistry.createMessageQueue(requestId);
+      this._forwardRequest(buildProxyRequest(chain[i]));
+      const initialMessage = await messageQueue.dequeue();
+      if (
+        initialMessage.event_type === "error" &&
+        i < chain.length - 1 &&
+        this._isModelFallbackError(initialMessage)
+      ) {
+        this.logger.warn(
+          `[Adapter] 模型 ${chain[i]} 不可用 (状态码: ${
+            initialMessage.status
+          })，改用后备模型 ${chain[i + 1]} 重试，请求ID: ${requestId}`
+        );
+        this.connectionRegistry.removeMessageQueue(requestId);
+        continue;
+      }
+      if (i > 0 || chain[0] !== model) {
+        this.logger.info(
+          `[Adapter] 请求模型 ${model} 实际使用 ${chain[i]}，请求ID: ${requestId}`
+        );
+      }
+      return { messageQueue, initialMessage, model: chain[i] };
+    }
+  }
+
+  // 通过浏览器发送一次性请求并返回解析后的JSON；失败时已向客户端发送错误并返回 null
+  async _forwardJsonRequest(
+    res,
+    requestId,
+    apiPath,
+    body,
+    isGenerative = false
+  ) {
+    const proxyRequest = {
+      path: apiPath,
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      query_params: {},
+      body: JSON.stringify(body),
+      request_id: requestId,
+      is_generative: isGenerative,
+      streaming_mode: "fake",
+    };
+    const messageQueue = this.connectionRegistry.createMessageQueue(requestId);
+
+    try {
+      this._forwardRequest(proxyRequest);
+      const headerMessage = await messageQueue.dequeue();
+      if (headerMessage.event_type === "error") {
+        this.logger.error(
+          `[Adapter] 收到来自浏览器的错误，将触发切换逻辑。状态码: ${headerMessage.status}, 消息: ${headerMessage.message}`
+        );
+        await this._handleRequestFailureAndSwitch(headerMessage, null);
+        this._sendErrorResponse(
+          res,
+          headerMessage.status || 500,
+          headerMessage.message
+        );
+        return null;
+      }
+
+      if (this.failureCount > 0) {
+        this.logger.info(
+          `✅ [Auth] 请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+        );
+        this.failureCount = 0;
+      }
+
+      let fullBody = "";
+      while (true) {
+        const message = await messageQueue.dequeue(300000);
+        if (message.type === "STREAM_END") break;
+        if (message.event_type === "chunk" && message.data) {
+          fullBody += message.data;
+        }
+      }
+      return JSON.parse(fullBody);
+    } catch (error) {
+      this._handleRequestError(error, res);
+      return null;
+    } finally {
+      this.connectionRegistry.removeMessageQueue(requestId);
+    }
+  }
+
+  // 后台请求专用：不面向客户端，也不参与失败计数和账号切换，出错直接抛出
+  async _fetchJsonFromBrowser(apiPath, queryParams = {}, options = {}) {
+    const requestId = this._generateRequestId();
+    const proxyRequest = {
+      path: apiPath,
+      method: options.method || "GET",
+      headers: options.headers || {},
+      query_params: queryParams,
+      body: options.body || "",
+      // 二进制请求体由 _forwardRequest 以 base64 传给浏览器
+      ...(options.bodyBuffer && { body_buffer: options.bodyBuffer }),
+      request_id: requestId,
+      is_generative: false,
+      streaming_mode: "fake",
+    };
+    const messageQueue = this.connectionRegistry.createMessageQueue(requestId);
+    try {
+      this._forwardRequest(proxyRequest);
+      const headerMessage = await messageQueue.dequeue();
+      if (headerMessage.event_type === "error") {
+        throw new Error(
+          `状态码 ${headerMessage.status}: ${headerMessage.message}`
+        );
+      }
+      let fullBody = "";
+      while (true) {
+        const message = await messageQueue.dequeue(60000);
+        if (message.type === "STREAM_END") break;
+        if (message.event_type === "chunk" && message.data) {
+          fullBody += message.data;
+        }
+      }
+      return JSON.parse(fullBody);
+    } finally {
+      this.connectionRegistry.removeMessageQueue(requestId);
+    }
+  }
+
+  // 通过浏览器调用 ListModels 刷新模型缓存；并发调用共享同一次刷新
+  refreshModelCatalog() {
+    if (this.modelCatalogRefreshing) return this.modelCatalogRefreshing;
+    this.modelCatalogRefreshing = (async () => {
+      try {
+        const models = [];
+        let pageToken;
+        do {
+          const page = await this._fetchJsonFromBrowser("/v1beta/models", {
+            pageSize: 1000,
+            ...(pageToken ? { pageToken } : {}),
+          });
+          models.push(...(page.models || []));
+          pageToken = page.nextPageToken;
+        } while (pageToken);
+
+        const now = Math.floor(Date.now() / 1000);
+        this.modelCatalog = models.map((model) => {
+          const id = model.name.replace(/^models\//, "");
+          if (!this.modelFirstSeen.has(id)) this.modelFirstSeen.set(id, now);
+          return {
+            id: id,
+            displayName: model.displayName,
+            description: model.description,
+            version: model.version,
+            inputTokenLimit: model.inputTokenLimit,
+            outputTokenLimit: model.outputTokenLimit,
+            supportedGenerationMethods: model.supportedGenerationMethods || [],
+          };
+        });
+        this.modelCatalogUpdatedAt = new Date();
+        this.logger.info(
+          `[System] 已通过 ListModels 获取 ${this.modelCatalog.length} 个模型。`
+        );
+      } catch (error) {
+        this.logger.warn(
+          `[System] 模型列表刷新失败，继续使用${
+            this.modelCatalog ? "上次缓存" : " models.json"
+          }: ${error.message}`
+        );
+      } finally {
+        this.modelCatalogRefreshing = null;
+      }
+    })();
+    return this.modelCatalogRefreshing;
+  }
+
+  // 返回经过允许/拒绝列表过滤后的模型；缓存为空时退回 models.json
+  getAvailableModels() {
+    const toPattern = (rule) =>
+      new RegExp(
+        `^${String(rule)
+          .replace(/^models\//, "")
+          .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+          .replace(/\*/g, ".*")}$`
+      );
+    const allowPatterns = (this.config.modelAllowList || []).map(toPattern);
+    const denyPatterns = (this.config.modelDenyList || []).map(toPattern);
+
+    const models =
+      this.modelCatalog ||
+      (this.config.modelList || []).map((id) => {
+        if (!this.modelFirstSeen.has(id)) {
+          this.modelFirstSeen.set(id, Math.floor(Date.now() / 1000));
+        }
+        return { id: id, supportedGenerationMethods: [] };
+      });
+    return models.filter(
+      (model) =>
+        (allowPatterns.length === 0 ||
+          allowPatterns.some((p) => p.test(model.id))) &&
+        !denyPatterns.some((p) => p.test(model.id))
+    );
+  }
+
+  _buildOpenAIModelObject(model) {
+    return {
+      id: model.id,
+      object: "model",
+      created: this.modelFirstSeen.get(model.id),
+      owned_by: "google",
+      display_name: model.displayName,
+      description: model.description,
+      input_token_limit: model.inputTokenLimit,
+      output_token_limit: model.outputTokenLimit,
+      supported_generation_methods: model.supportedGenerationMethods,
+    };
+  }
+
+  // --- 新增一个辅助方法，用于发送取消指令 ---
+  _cancelBrowserRequest(requestId) {
+    // 取消指令必须发给实际执行该请求的浏览器客户端
+    const connection = this.connectionRegistry.getRequestOwner(requestId);
+    if (
+      connection &&
+      !this.connectionRegistry.hasFeature(connection, "cancellation")
+    ) {
+      this.logger.warn(
+        `[Request] 浏览器客户端不支持取消指令，请求 #${requestId} 将继续在浏览器端执行。`
+      );
+    } else if (connection) {
+      this.logger.info(
+        `[Request] 正在向浏览器发送取消请求 #${requestId} 的指令...`
+      );
+      connection.send(
+        JSON.stringify({
+          event_type: "cancel_request",
+          request_id: requestId,
+        })
+      );
+    } else {
+      this.logger.warn(
+        `[Request] 无法发送取消指令：请求 #${requestId} 没有对应的浏览器WebSocket连接。`
+      );
+    }
+  }
+
+  _generateRequestId() {
+    return `${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+  }
+  _buildProxyRequest(req, requestId) {
+    // 非 JSON 请求体（如 Files API 上传）由 express.raw 解析为 Buffer，原样透传
+    if (Buffer.isBuffer(req.body)) {
+      return {
+        path: req.path,
+        method: req.method,
+        headers: req.headers,
+        query_params: req.query,
+        body: "",
+        body_buffer: req.body,
+        request_id: requestId,
+        streaming_mode: this.serverSystem.streamingMode,
+      };
+    }
+    let requestBody = "";
+    if (req.body) {
+      // 配置了生成策略时，原生 Gemini 生成请求同样受其约束
+      const generateMatch = req.path.match(
+        /\/models\/([^/:]+):(?:generateContent|streamGenerateContent)$/
+      );
+      const hasPolicy = [
+        this.config.generationPolicy,
+        this.config.modelPolicies,
+        this.config.apiKeyPolicies,
+      ].some((policy) => policy && Object.keys(policy).length > 0);
+      if (generateMatch && hasPolicy && typeof req.body === "object") {
+        this._applyGenerationPolicy(
+          req.body,
+          generateMatch[1],
+          req.clientApiKey
+        );
+      }
+      requestBody = JSON.stringify(req.body);
+    }
+    return {
+      path: req.path,
+      method: req.method,
+      headers: req.headers,
+      query_params: req.query,
+      body: requestBody,
+      request_id: requestId,
+      streaming_mode: this.serverSystem.streamingMode,
+    };
+  }
+  _forwardRequest(proxyRequest) {
+    const connection = this.connectionRegistry.selectConnection();
+    if (!connection) {
+      throw new Error("无法转发请求：没有可用的WebSocket连接。");
+    }
+    const { body_buffer: bodyBuffer, ...message } = proxyRequest;
+    this.connectionRegistry.assignRequest(message.request_id, connection);
+    if (this.connectionRegistry.connections.size > 1) {
+      this.logger.info(
+        `[Request] 请求 #${message.request_id} 已分配给浏览器客户端 #${
+          this.connectionRegistry.getConnectionInfo(connection)?.id
+        }`
+      );
+    }
+    if (!bodyBuffer) {
+      connection.send(JSON.stringify(message));
+      return;
+    }
+    // 二进制请求体以 base64 传输；过大时先发请求头，再按块分批发送，由浏览器拼接
+    const chunkSize = this.config.wsBodyChunkSizeKB * 1024;
+    if (
+      bodyBuffer.length <= chunkSize ||
+      !this.connectionRegistry.hasFeature(connection, "chunked_request_body")
+    ) {
+      connection.send(
+        JSON.stringify({
+          ...message,
+          body_base64: bodyBuffer.toString("base64"),
+        })
+      );
+      return;
+    }
+    const chunkCount = Math.ceil(bodyBuffer.length / chunkSize);
+    this.logger.info(
+      `[Request] 请求体较大 (${(bodyBuffer.length / 1048576).toFixed(
+        1
+      )} MB)，将分 ${chunkCount} 块发送给浏览器。`
+    );
+    connection.send(JSON.stringify({ ...message, body_chunks: chunkCount }));
+    for (let i = 0; i < chunkCount; i++) {
+      connection.send(
+        JSON.stringify({
+          event_type: "request_body_chunk",
+          request_id: message.request_id,
+          index: i,
+          data: bodyBuffer
+            .subarray(i * chunkSize, (i + 1) * chunkSize)
+            .toString("base64"),
+        })
+      );
+    }
+  }
+  _sendErrorChunkToClient(res, errorMessage) {
+    const errorPayload = {
+      error: {
+        message: `[代理系统提示] ${errorMessage}`,
+        type: "proxy_error",
+        code: "proxy_error",
+      },
+    };
+    const chunk = `data: ${JSON.stringify(errorPayload)}\n\n`;
+    if (res && !res.writableEnded) {
+      res.write(chunk);
+      this.logger.info(`[Request] 已向客户端发送标准错误信号: ${errorMessage}`);
+    }
+  }
+
+  async _handlePseudoStreamResponse(proxyRequest, messageQueue, req, res) {
+    this.logger.info(
+      "[Request] 客户端启用流式传输 (fake)，进入伪流式处理模式..."
+    );
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    const connectionMaintainer = setInterval(() => {
+      if (!res.writableEnded) res.write(": keep-alive\n\n");
+    }, 15000);
+
+    try {
+      let lastMessage,
+        requestFailed = false;
+
+      // 我们的重试循环（即使只跑一次）
+      for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+        if (attempt > 1) {
+          this.logger.info(
+            `[Request] 请求尝试 #${attempt}/${this.maxRetries}...`
+          );
+        }
+        this._forwardRequest(proxyRequest);
+        try {
+          const timeoutPromise = new Promise((_, reject) =>
+            setTimeout(
+              () =>
+                reject(
+                  new Error("Response from browser timed out after 300 seconds")
+                ),
+              300000
+            )
+          );
+          lastMessage = await Promise.race([
+            messageQueue.dequeue(),
+            timeoutPromise,
+          ]);
+        } catch (timeoutError) {
+          this.logger.error(`[Request] 致命错误: ${timeoutError.message}`);
+          lastMessage = {
+            event_type: "error",
+            status: 504,
+            message: timeoutError.message,
+          };
+        }
+
+        if (lastMessage.event_type === "error") {
+          // --- 核心修改：在这里就区分，避免打印不必要的“失败”日志 ---
+          if (
+            !(
+              lastMessage.message &&
+              lastMessage.message.includes("The user aborted a request")
+            )
+          ) {
+            // 只有在不是“用户取消”的情况下，才打印“尝试失败”的警告
+            this.logger.warn(
+              `[Request] 尝试 #${attempt} 失败: 收到 ${
+                lastMessage.status || "未知"
+              } 错误。 - ${lastMessage.message}`
+            );
+          }
+
+          if (attempt < this.maxRetries) {
+            await new Promise((resolve) =>
+              setTimeout(resolve, this.retryDelay)
+            );
+            continue;
+          }
+          requestFailed = true;
+        }
+        break;
+      }
+
+      // 处理最终结果
+      if (requestFailed) {
+        if (
+          lastMessage.message &&
+          lastMessage.message.includes("The user aborted a request")
+        ) {
+          this.logger.info(
+            `[Request] 请求 #${proxyRequest.request_id} 已由用户妥善取消，不计入失败统计。`
+          );
+        } else {
+          this.logger.error(
+            `[Request] 所有 ${this.maxRetries} 次重试均失败，将计入失败统计。`
+          );
+          await this._handleRequestFailureAndSwitch(lastMessage, res);
+          this._sendErrorChunkToClient(
+            res,
+            `请求最终失败: ${lastMessage.message}`
+          );
+        }
+        return;
+      }
+
+      // 成功的逻辑
+      if (proxyRequest.is_generative && this.failureCount > 0) {
+        this.logger.info(
+          `✅ [Auth] 生成请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+        );
+        this.failureCount = 0;
+      }
+      const dataMessage = await messageQueue.dequeue();
+      const endMessage = await messageQueue.dequeue();
+      if (dataMessage.data) {
+        res.write(`data: ${dataMessage.data}\n\n`);
+      }
+      if (endMessage.type !== "STREAM_END") {
+        this.logger.warn("[Request] 未收到预期的流结束信号。");
+      }
+      try {
+        const fullResponse = JSON.parse(dataMessage.data);
+        const finishReason =
+          fullResponse.candidates?.[0]?.finishReason || "UNKNOWN";
+        this.logger.info(
+          `✅ [Request] 响应结束，原因: ${finishReason}，请求ID: ${proxyRequest.request_id}`
+        );
+      } catch (e) {}
+      res.write("data: [DONE]\n\n");
+    } catch (error) {
+      this._handleRequestError(error, res);
+    } finally {
+      clearInterval(connectionMaintainer);
+      if (!res.writableEnded) {
+        res.end();
+      }
+      this.logger.info(
+        `[Request] 响应处理结束，请求ID: ${proxyRequest.request_id}`
+      );
+    }
+  }
+
+  async _handleRealStreamResponse(proxyRequest, messageQueue, res) {
+    this.logger.info(`[Request] 请求已派发给浏览器端处理...`);
+    this._forwardRequest(proxyRequest);
+    const headerMessage = await messageQueue.dequeue();
+
+    if (headerMessage.event_type === "error") {
+      if (
+        headerMessage.message &&
+        headerMessage.message.includes("The user aborted a request")
+      ) {
+        this.logger.info(
+          `[Request] 请求 #${proxyRequest.request_id} 已被用户妥善取消，不计入失败统计。`
+        );
+      } else {
+        this.logger.error(`[Request] 请求失败，将计入失败统计。`);
+        await this._handleRequestFailureAndSwitch(headerMessage, null);
+        return this._sendErrorResponse(
+          res,
+          headerMessage.status,
+          headerMessage.message
+        );
+      }
+      if (!res.writableEnded) res.end();
+      return;
+    }
+
+    // --- 核心修改：只有在生成请求成功时，才重置失败计数 ---
+    if (proxyRequest.is_generative && this.failureCount > 0) {
+      this.logger.info(
+        `✅ [Auth] 生成请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+      );
+      this.failureCount = 0;
+    }
+    // --- 修改结束 ---
+
+    this._setResponseHeaders(res, headerMessage);
+    this.logger.info("[Request] 开始流式传输...");
+    try {
+      // 数据原样透传给客户端，解析器仅用于找出最后一个完整事件以记录结束原因
+      const sseParser = new SSEParser();
+      let lastEventData = "";
+      while (true) {
+        const dataMessage = await messageQueue.dequeue(30000);
+        if (dataMessage.type === "STREAM_END") {
+          this.logger.info("[Request] 收到流结束信号。");
+          break;
+        }
+        if (dataMessage.data) {
+          if (headerMessage.encoding === "base64") {
+            // 二进制流（音频等）按字节写回，不参与 SSE 解析
+            res.write(Buffer.from(dataMessage.data, "base64"));
+            continue;
+          }
+          res.write(dataMessage.data);
+          const events = sseParser.push(dataMessage.data);
+          if (events.length > 0) lastEventData = events[events.length - 1].data;
+        }
+      }
+      const remainingEvents = sseParser.flush();
+      if (remainingEvents.length > 0) {
+        lastEventData = remainingEvents[remainingEvents.length - 1].data;
+      }
+      try {
+        if (lastEventData) {
+          const lastResponse = JSON.parse(lastEventData);
+          const finishReason =
+            lastResponse.candidates?.[0]?.finishReason || "UNKNOWN";
+          this.logger.info(
+            `✅ [Request] 响应结束，原因: ${finishReason}，请求ID: ${proxyRequest.request_id}`
+          );
+        }
+      } catch (e) {}
+    } catch (error) {
+      if (error.message !== "Queue timeout") throw error;
+      this.logger.warn("[Request] 真流式响应超时，可能流已正常结束。");
+    } finally {
+      if (!res.writableEnded) res.end();
+      this.logger.info(
+        `[Request] 真流式响应连接已关闭，请求ID: ${proxyRequest.request_id}`
+      );
+    }
+  }
+
+  async _handleNonStreamResponse(proxyRequest, messageQueue, res) {
+    this.logger.info(`[Request] 进入非流式处理模式...`);
+
+    // 转发请求到浏览器端
+    this._forwardRequest(proxyRequest);
+
+    try {
+      // 1. 等待响应头信息
+      const headerMessage = await messageQueue.dequeue();
+      if (headerMessage.event_type === "error") {
+        // ... (错误处理逻辑保持不变)
+        if (headerMessage.message?.includes("The user aborted a request")) {
+          this.logger.info(
+            `[Request] 请求 #${proxyRequest.request_id} 已被用户妥善取消。`
+          );
+        } else {
+          this.logger.error(
+            `[Request] 浏览器端返回错误: ${headerMessage.message}`
+          );
+          await this._handleRequestFailureAndSwitch(headerMessage, null);
+        }
+        return this._sendErrorResponse(
+          res,
+          headerMessage.status || 500,
+          headerMessage.message
+        );
+      }
+
+      // 2. 准备一个缓冲区，并确保循环等待直到收到结束信号
+      const isBinary = headerMessage.encoding === "base64";
+      let fullBody = "";
+      const binaryChunks = [];
+      while (true) {
+        const message = await messageQueue.dequeue(300000);
+        if (message.type === "STREAM_END") {
+          this.logger.info("[Request] 收到结束信号，数据接收完毕。");
+          break;
+        }
+        if (message.event_type === "chunk" && message.data) {
+          if (isBinary) {
+            binaryChunks.push(Buffer.from(message.data, "base64"));
+          } else {
+            fullBody += message.data;
+          }
+        }
+      }
+
+      // 3. 重置失败计数器（如果需要）
+      if (proxyRequest.is_generative && this.failureCount > 0) {
+        this.logger.info(
+          `✅ [Auth] 非流式生成请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+        );
+        this.failureCount = 0;
+      }
+
+      // 非文本响应（文件下载、音频等）保留原始内容类型，直接写回字节
+      if (isBinary) {
+        this._setResponseHeaders(res, headerMessage);
+        res.send(Buffer.concat(binaryChunks));
+        this.logger.info(
+          `[Request] 已向客户端发送二进制响应 (${
+            headerMessage.headers?.["content-type"] || "未知类型"
+          })。`
+        );
+        return;
+      }
+
+      // [核心修正] 对Google原生格式的响应进行智能图片处理
+      try {
+        let parsedBody = JSON.parse(fullBody);
+        let needsReserialization = false;
+
+        const candidate = parsedBody.candidates?.[0];
+        if (candidate?.content?.parts) {
+          const imagePartIndex = candidate.content.parts.findIndex(
+            (p) => p.inlineData
+          );
+
+          if (imagePartIndex > -1) {
+            this.logger.info(
+              "[Proxy] 检测到Google格式响应中的图片数据，正在转换为Markdown..."
+            );
+            const imagePart = candidate.content.parts[imagePartIndex];
+            const image = imagePart.inlineData;
+
+            // 创建一个新的 text part 来替换原来的 inlineData part
+            const markdownTextPart = {
+              text: `![Generated Image](data:${image.mimeType};base64,${image.data})`,
+            };
+
+            // 替换掉原来的部分
+            candidate.content.parts[imagePartIndex] = markdownTextPart;
+            needsReserialization = true;
+          }
+        }
+
+        if (needsReserialization) {
+          fullBody = JSON.stringify(parsedBody); // 如果处理了图片，重新序列化
+        }
+      } catch (e) {
+        this.logger.warn(
+          `[Proxy] 响应体不是有效的JSON，或在处理图片时出错: ${e.message}`
+        );
+        // 如果出错，则什么都不做，直接发送原始的 fullBody
+      }
+
+      try {
+        const fullResponse = JSON.parse(fullBody);
+        const finishReason =
+          fullResponse.candidates?.[0]?.finishReason || "UNKNOWN";
+        this.logger.info(
+          `✅ [Request] 响应结束，原因: ${finishReason}，请求ID: ${proxyRequest.request_id}`
+        );
+      } catch (e) {}
+
+      // 4. 设置正确的JSON响应头，并一次性发送处理过的全部数据
+      this._forwardUploadHeaders(res, headerMessage);
+      res
+        .status(headerMessage.status || 200)
+        .type("application/json")
+        .send(fullBody || "{}");
+
+      this.logger.info(`[Request] 已向客户端发送完整的非流式响应。`);
+    } catch (error) {
+      this._handleRequestError(error, res);
+    }
+  }
+
+  _getKeepAliveChunk(req) {
+    if (req.path.includes("chat/completions")) {
+      const payload = {
+        id: `chatcmpl-${this._generateRequestId()}`,
+        object: "chat.completion.chunk",
+        created: Math.floor(Date.now() / 1000),
+        model: "gpt-4",
+        choices: [{ index: 0, delta: {}, finish_reason: null }],
+      };
+      return `data: ${JSON.stringify(payload)}\n\n`;
+    }
+    if (
+      req.path.includes("generateContent") ||
+      req.path.includes("streamGenerateContent")
+    ) {
+      const payload = {
+        candidates: [
+          {
+            content: { parts: [{ text: "" }], role: "model" },
+            finishReason: null,
+            index: 0,
+            safetyRatings: [],
+          },
+        ],
+      };
+      return `data: ${JSON.stringify(payload)}\n\n`;
+    }
+    return "data: {}\n\n";
+  }
+
+  // 转发 Files API 的 x-goog-upload-* 响应头；可续传上传地址改写为指向本代理，
+  // 这样客户端后续的分块上传仍经由浏览器发出
+  _forwardUploadHeaders(res, headerMessage) {
+    for (const [name, value] of Object.entries(headerMessage.headers || {})) {
+      if (!name.toLowerCase().startsWith("x-goog-upload-")) continue;
+      if (name.toLowerCase() === "x-goog-upload-url" && res.req) {
+        const uploadUrl = new URL(value);
+        res.set(
+          name,
+          `${this._getRequestOrigin(res.req)}${uploadUrl.pathname}${
+            uploadUrl.search
+          }`
+        );
+      } else {
+        res.set(name, value);
+      }
+    }
+  }
+
+  _setResponseHeaders(res, headerMessage) {
+    res.status(headerMessage.status || 200);
+    const headers = headerMessage.headers || {};
+    // 浏览器 fetch 已经解压并按块转发，原始的长度/压缩/分块头不再适用
+    const skippedHeaders = [
+      "content-length",
+      "content-encoding",
+      "transfer-encoding",
+    ];
+    Object.entries(headers).forEach(([name, value]) => {
+      if (!skippedHeaders.includes(name.toLowerCase())) res.set(name, value);
+    });
+    // 可续传上传地址需改写为本代理，真流式与非流式路径保持一致
+    this._forwardUploadHeaders(res, headerMessage);
+  }
+  _handleRequestError(error, res) {
+    if (res.headersSent) {
+      this.logger.error(`[Request] 请求处理错误 (头已发送): ${error.message}`);
+      if (this.serverSystem.streamingMode === "fake")
+        this._sendErrorChunkToClient(res, `处理失败: ${error.message}`);
+      if (!res.writableEnded) res.end();
+    } else {
+      this.logger.error(`[Request] 请求处理错误: ${error.message}`);
+      const status = error.message.includes("超时") ? 504 : 500;
+      this._sendErrorResponse(res, status, `代理错误: ${error.message}`);
+    }
+  }
+
+  _sendErrorResponse(res, status, message) {
+    if (!res.headersSent) {
+      // 1. 创建一个符合API规范的JSON错误对象
+      const errorPayload = {
+        error: {
+          code: status || 500,
+          message: message,
+          status: "SERVICE_UNAVAILABLE", // 这是一个示例状态名
+        },
+      };
+      // 2. 设置响应类型为 application/json 并发送
+      res
+        .status(status || 500)
+        .type("application/json")
+        .send(JSON.stringify(errorPayload));
+    }
+  }
+
+  _translateOpenAIToGoogle(openaiBody, modelName = "") {
+    this.logger.info("[Adapter] 开始将OpenAI请求格式翻译为Google格式...");
+
+    let systemInstruction = null;
+    const googleContents = [];
+
+    // 1. 分离出 system 指令
+    const systemMessages = openaiBody.messages.filter(
+      (msg) => msg.role === "system"
+    );
+    if (systemMessages.length > 0) {
+      // 将所有 system message 的内容合并
+      const systemContent = systemMessages.map((msg) => msg.content).join("\n");
+      systemInstruction = {
+        // Google Gemini 1.5 Pro 开始正式支持 system instruction
+        role: "system",
+        parts: [{ text: systemContent }],
+      };
+    }
+
+    // 2. 转换 user 和 assistant 消息
+    const conversationMessages = openaiBody.messages.filter(
+      (msg) => msg.role !== "system"
+    );
+    // 记录 tool_call_id 到函数名的映射，functionResponse 需要用函数名回填
+    const toolCallNames = new Map();
+    for (const message of conversationMessages) {
+      const googleParts = [];
+
+      if (message.role === "tool") {
+        const functionName =
+          message.name || toolCallNames.get(message.tool_call_id);
+        if (!functionName) {
+          throw new Error(
+            `Tool message references unknown tool_call_id: ${message.tool_call_id}`
+          );
+        }
+        const functionResponsePart = {
+          functionResponse: {
+            name: functionName,
+            response: this._parseToolResultContent(message.content),
+          },
+        };
+        // Gemini 要求同一轮的所有函数结果放在同一个 user 回合中
+        const lastContent = googleContents[googleContents.length - 1];
+        if (
+          lastContent &&
+          lastContent.role === "user" &&
+          lastContent.parts.every((p) => p.functionResponse)
+        ) {
+          lastContent.parts.push(functionResponsePart);
+        } else {
+          googleContents.push({ role: "user", parts: [functionResponsePart] });
+        }
+        continue;
+      }
+
+      // [核心改进] 判断 content 是字符串还是数组
+      if (typeof message.content === "string") {
+        // a. 如果是纯文本
+        googleParts.push({ text: message.content });
+      } else if (Array.isArray(message.content)) {
+        // b. 如果是图文混合内容
+        for (const part of message.content) {
+          if (part.type === "text") {
+            googleParts.push({ text: part.text });
+          } else if (part.type !== "refusal") {
+            googleParts.push(this._translateOpenAIMediaPart(part));
+          }
+        }
+      }
+
+      if (message.role === "assistant" && Array.isArray(message.tool_calls)) {
+        for (const toolCall of message.tool_calls) {
+          if (toolCall.type && toolCall.type !== "function") continue;
+          toolCallNames.set(toolCall.id, toolCall.function.name);
+          let args = {};
+          try {
+            args = JSON.parse(toolCall.function.arguments || "{}");
+          } catch (e) {
+            throw new Error(
+              `Invalid JSON in tool_calls arguments for ${toolCall.function.name}`
+            );
+          }
+          googleParts.push({
+            functionCall: { name: toolCall.function.name, args: args },
+          });
+        }
+      }
+
+      googleContents.push({
+        role: message.role === "assistant" ? "model" : "user",
+        parts: googleParts,
+      });
+    }
+
+    // 3. 构建最终的Google请求体
+    const googleRequest = {
+      contents: googleContents,
+      ...(systemInstruction && {
+        systemInstruction: { parts: systemInstruction.parts },
+      }),
+    };
+
+    // 4. 转换生成参数
+    const generationConfig = {
+      temperature: openaiBody.temperature,
+      topP: openaiBody.top_p,
+      topK: openaiBody.top_k,
+      maxOutputTokens: openaiBody.max_tokens,
+      stopSequences:
+        typeof openaiBody.stop === "string"
+          ? [openaiBody.stop]
+          : openaiBody.stop,
+      candidateCount: openaiBody.n,
+      presencePenalty: openaiBody.presence_penalty,
+      frequencyPenalty: openaiBody.frequency_penalty,
+      seed: openaiBody.seed,
+      responseLogprobs: openaiBody.logprobs,
+      logprobs: openaiBody.top_logprobs,
+    };
+    if (
+      openaiBody.n !== undefined &&
+      (!Number.isInteger(openaiBody.n) || openaiBody.n < 1)
+    ) {
+      throw new Error("n must be a positive integer");
+    }
+    if (openaiBody.top_logprobs !== undefined) {
+      if (openaiBody.logprobs !== true) {
+        throw new Error("top_logprobs requires logprobs to be true");
+      }
+      if (
+        !Number.isInteger(openaiBody.top_logprobs) ||
+        openaiBody.top_logprobs < 0 ||
+        openaiBody.top_logprobs > 20
+      ) {
+        throw new Error("top_logprobs must be an integer between 0 and 20");
+      }
+    }
+    googleRequest.generationConfig = generationConfig;
+
+    // 4.1 思考配置 (reasoning_effort 与 google.thinking_config 扩展)
+    const thinkingConfig = this._translateOpenAIThinkingConfig(
+      openaiBody,
+      modelName
+    );
+    if (thinkingConfig) generationConfig.thinkingConfig = thinkingConfig;
+
+    // 5. 结构化输出 (response_format)
+    const responseFormat = openaiBody.response_format;
+    if (responseFormat && responseFormat.type === "json_object") {
+      generationConfig.responseMimeType = "application/json";
+    } else if (responseFormat && responseFormat.type === "json_schema") {
+      const jsonSchema = responseFormat.json_schema;
+      if (!jsonSchema || !jsonSchema.schema) {
+        throw new Error("response_format.json_schema.schema is required");
+      }
+      generationConfig.responseMimeType = "application/json";
+      generationConfig.responseSchema = this._convertJsonSchemaForGemini(
+        jsonSchema.schema
+      );
+    }
+
+    // 6. 函数调用 (tools / tool_choice)
+    if (Array.isArray(openaiBody.tools) && openaiBody.tools.length > 0) {
+      const functionDeclarations = openaiBody.tools
+        .filter((tool) => tool.type === "function" && tool.function)
+        .map((tool) =>
+          this._buildFunctionDeclaration(
+            tool.function.name,
+            tool.function.description,
+            tool.function.parameters
+          )
+        );
+      if (functionDeclarations.length > 0) {
+        googleRequest.tools = [{ functionDeclarations }];
+      }
+    }
+    if (openaiBody.tool_choice !== undefined) {
+      const functionCallingConfig = this._translateOpenAIToolChoice(
+        openaiBody.tool_choice
+      );
+      if (functionCallingConfig) {
+        googleRequest.toolConfig = { functionCallingConfig };
+      }
+    }
+
+    // 7. 安全设置：只透传客户端显式指定的部分，默认值与可否覆盖由 _applyGenerationPolicy 决定
+    const vendorSafetySettings =
+      openaiBody.extra_body?.google?.safety_settings ||
+      openaiBody.google?.safety_settings;
+    if (Array.isArray(vendorSafetySettings)) {
+      googleRequest.safetySettings = vendorSafetySettings;
+    }
+
+    this.logger.info("[Adapter] 翻译完成。");
+    return googleRequest;
+  }
+
+  _translateAnthropicToGoogle(anthropicBody) {
+    this.logger.info("[Adapter] 开始将Anthropic请求格式翻译为Google格式...");
+
+    const googleRequest = { contents: [] };
+
+    // 1. system 可以是字符串或 text 块数组
+    if (anthropicBody.system) {
+      const systemText = Array.isArray(anthropicBody.system)
+        ? anthropicBody.system.map((block) => block.text).join("\n")
+        : anthropicBody.system;
+      googleRequest.systemInstruction = { parts: [{ text: systemText }] };
+    }
+
+    // 2. 转换消息及其内容块
+    const toolUseNames = new Map();
+    for (const message of anthropicBody.messages || []) {
+      const blocks =
+        typeof message.content === "string"
+          ? [{ type: "text", text: message.content }]
+          : message.content || [];
+      const googleParts = [];
+      for (const block of blocks) {
+        switch (block.type) {
+          case "text":
+            googleParts.push({ text: block.text });
+            break;
+          case "image":
+            if (block.source?.type !== "base64") {
+              throw new Error("Only base64 image sources are supported");
+            }
+            googleParts.push({
+              inlineData: {
+                mimeType: block.source.media_type,
+                data: block.source.data,
+              },
+            });
+            break;
+          case "tool_use":
+            toolUseNames.set(block.id, block.name);
+            googleParts.push({
+              functionCall: { name: block.name, args: block.input || {} },
+            });
+            break;
+          case "tool_result": {
+            const functionName = toolUseNames.get(block.tool_use_id);
+            if (!functionName) {
+              throw new Error(
+                `tool_result references unknown tool_use_id: ${block.tool_use_id}`
+              );
+            }
+            const result = this._parseToolResultContent(block.content ?? "");
+            googleParts.push({
+              functionResponse: {
+                name: functionName,
+                response: block.is_error ? { error: result } : result,
+              },
+            });
+            break;
+          }
+          case "thinking":
+          case "redacted_thinking":
+            // 历史思考内容无需回传给 Gemini
+            break;
+          default:
+            throw new Error(`Unsupported content block type: ${block.type}`);
+        }
+      }
+      if (googleParts.length === 0) continue;
+      googleRequest.contents.push({
+        role: message.role === "assistant" ? "model" : "user",
+        parts: googleParts,
+      });
+    }
+
+    // 3. 生成参数。Gemini 命中停止序列后会从文本中去掉它，也不告知是哪一个，
+    // 无法给出 stop_sequence，因此 stop_sequences 不发给上游，而是在翻译响应时本地应用
+    const stopSequences = [].concat(anthropicBody.stop_sequences || []);
+    if (stopSequences.some((s) => typeof s !== "string" || s === "")) {
+      throw new Error("stop_sequences must be an array of non-empty strings");
+    }
+    googleRequest.generationConfig = {
+      temperature: anthropicBody.temperature,
+      topP: anthropicBody.top_p,
+      topK: anthropicBody.top_k,
+      maxOutputTokens: anthropicBody.max_tokens,
+    };
+    if (anthropicBody.thinking?.type === "enabled") {
+      googleRequest.generationConfig.thinkingConfig = {
+        thinkingBudget: anthropicBody.thinking.budget_tokens,
+        includeThoughts: true,
+      };
+    }
+
+    // 4. 工具
+    if (Array.isArray(anthropicBody.tools) && anthropicBody.tools.length > 0) {
+      googleRequest.tools = [
+        {
+          functionDeclarations: anthropicBody.tools.map((tool) =>
+            this._buildFunctionDeclaration(
+              tool.name,
+              tool.description,
+              tool.input_schema
+            )
+          ),
+        },
+      ];
+    }
+    const toolChoice = anthropicBody.tool_choice;
+    if (toolChoice) {
+      const modes = { auto: "AUTO", any: "ANY", tool: "ANY", none: "NONE" };
+      if (!modes[toolChoice.type]) {
+        throw new Error(`Unsupported tool_choice type: ${toolChoice.type}`);
+      }
+      googleRequest.toolConfig = {
+        functionCallingConfig: {
+          mode: modes[toolChoice.type],
+          ...(toolChoice.type === "tool" && {
+            allowedFunctionNames: [toolChoice.name],
+          }),
+        },
+      };
+    }
+
+    this.logger.info("[Adapter] 翻译完成。");
+    return googleRequest;
+  }
+
+  _translateGoogleToAnthropic(
+    googleResponse,
+    requestId,
+    model,
+    stopSequences = []
+  ) {
+    const candidate = googleResponse.candidates?.[0] || {};
+    const content = [];
+    for (const part of candidate.content?.parts || []) {
+      const lastBlock = content[content.length - 1];
+      if (part.thought && part.text) {
+        if (lastBlock?.type === "thinking") lastBlock.thinking += part.text;
+        else content.push({ type: "thinking", thinking: part.text });
+        // 只有 Gemini 给出了思考签名才带上 signature，不编造空值
+        if (part.thoughtSignature) {
+          content[content.length - 1].signature = part.thoughtSignature;
+        }
+      } else if (part.functionCall) {
+        content.push({
+          type: "tool_use",
+          id: `toolu_${crypto.randomBytes(12).toString("hex")}`,
+          name: part.functionCall.name,
+          input: part.functionCall.args || {},
+        });
+      } else if (part.inlineData) {
+        const image = part.inlineData;
+        content.push({
+          type: "text",
+          text: `![Generated Image](data:${image.mimeType};base64,${image.data})`,
+        });
+      } else if (part.text !== undefined) {
+        if (lastBlock?.type === "text") lastBlock.text += part.text;
+        else content.push({ type: "text", text: part.text });
+      }
+    }
+
+    // 在第一个命中停止序列的位置截断，之后的内容块一并丢弃
+    let stopSequence = null;
+    for (let i = 0; i < content.length && !stopSequence; i++) {
+      if (content[i].type !== "text") continue;
+      const match = this._findStopSequence(content[i].text, stopSequences);
+      if (!match) continue;
+      stopSequence = match.sequence;
+      content[i].text = content[i].text.substring(0, match.index);
+      content.splice(content[i].text ? i + 1 : i);
+    }
+
+    const hasToolUse = content.some((block) => block.type === "tool_use");
+    return {
+      id: `msg_${requestId}`,
+      type: "message",
+      role: "assistant",
+      model: model,
+      content: content,
+      stop_reason: stopSequence
+        ? "stop_sequence"
+        : this._translateGoogleFinishReasonToAnthropic(
+            candidate.finishReason,
+            hasToolUse
+          ),
+      stop_sequence: stopSequence,
+      usage: this._translateGoogleUsageToAnthropic(
+        googleResponse.usageMetadata
+      ),
+    };
+  }
+
+  // 截断或拦截优先于 tool_use，避免客户端执行不完整的工具调用
+  _translateGoogleFinishReasonToAnthropic(finishReason, hasToolUse = false) {
+    switch (this._translateGoogleFinishReason(finishReason)) {
+      case "length":
+        return "max_tokens";
+      case "content_filter":
+        return "refusal";
+      default:
+        return hasToolUse ? "tool_use" : "end_turn";
+    }
+  }
+
+  // 返回文本中最早出现的停止序列及其位置，同一位置以先列出的为准
+  _findStopSequence(text, stopSequences) {
+    let match = null;
+    for (const sequence of stopSequences) {
+      const index = text.indexOf(sequence);
+      if (index !== -1 && (!match || index < match.index)) {
+        match = { index: index, sequence: sequence };
+      }
+    }
+    return match;
+  }
+
+  _translateGoogleUsageToAnthropic(usageMetadata) {
+    const usage = this._translateGoogleUsage(usageMetadata);
+    return {
+      input_tokens: usage.prompt_tokens,
+      output_tokens: usage.completion_tokens,
+    };
+  }
+
+  _createAnthropicStreamState(requestId, model, stopSequences = []) {
+    return {
+      id: `msg_${requestId}`,
+      model: model,
+      started: false,
+      blockIndex: -1,
+      openBlockType: null,
+      hasToolUse: false,
+      stopReason: "end_turn",
+      usageMetadata: null,
+      stopSequences: stopSequences,
+      // 末尾可能是停止序列开头的文本暂不发出，等后续文本确认
+      pendingText: "",
+      stopSequence: null,
+    };
+  }
+
+  _buildAnthropicEvent(eventType, payload) {
+    return `event: ${eventType}\ndata: ${JSON.stringify(payload)}\n\n`;
+  }
+
+  _translateGoogleToAnthropicStream(googleData, streamState) {
+    let googleResponse;
+    try {
+      googleResponse = JSON.parse(googleData);
+    } catch (e) {
+      this.logger.warn(`[Adapter] 无法解析Google返回的JSON块: ${googleData}`);
+      return "";
+    }
+    if (googleResponse.usageMetadata) {
+      streamState.usageMetadata = googleResponse.usageMetadata;
+    }
+
+    let output = "";
+    // message_start 推迟到第一个事件，以便带上 input_tokens
+    if (!streamState.started) {
+      streamState.started = true;
+      output += this._buildAnthropicEvent("message_start", {
+        type: "message_start",
+        message: {
+          id: streamState.id,
+          type: "message",
+          role: "assistant",
+          model: streamState.model,
+          content: [],
+          stop_reason: null,
+          stop_sequence: null,
+          usage: {
+            input_tokens: streamState.usageMetadata?.promptTokenCount || 0,
+            output_tokens: 0,
+          },
+        },
+      });
+    }
+
+    const openBlock = (blockType, contentBlock) =>
+      this._openAnthropicStreamBlock(streamState, blockType, contentBlock);
+    const blockDelta = (delta) =>
+      this._buildAnthropicBlockDelta(streamState, delta);
+
+    const candidate = googleResponse.candidates?.[0];
+    for (const part of candidate?.content?.parts || []) {
+      // 命中停止序列后忽略剩余内容
+      if (streamState.stopSequence) break;
+      if (part.thought && part.text) {
+        output += this._flushAnthropicPendingText(streamState);
+        if (streamState.openBlockType !== "thinking") {
+          output += openBlock("thinking", { type: "thinking", thinking: "" });
+        }
+        output += blockDelta({ type: "thinking_delta", thinking: part.text });
+        if (part.thoughtSignature) {
+          output += blockDelta({
+            type: "signature_delta",
+            signature: part.thoughtSignature,
+          });
+        }
+      } else if (part.functionCall) {
+        output += this._flushAnthropicPendingText(streamState);
+        streamState.hasToolUse = true;
+        // 每个 tool_use 都是独立的内容块
+        output += openBlock("tool_use", {
+          type: "tool_use",
+          id: `toolu_${crypto.randomBytes(12).toString("hex")}`,
+          name: part.functionCall.name,
+          input: {},
+        });
+        output += blockDelta({
+          type: "input_json_delta",
+          partial_json: JSON.stringify(part.functionCall.args || {}),
+        });
+      } else {
+        let text;
+        if (part.inlineData) {
+          output += this._flushAnthropicPendingText(streamState);
+          const image = part.inlineData;
+          text = `![Generated Image](data:${image.mimeType};base64,${image.data})`;
+        } else {
+          text = this._takeAnthropicStreamText(part.text || "", streamState);
+        }
+        if (!text) continue;
+        if (streamState.openBlockType !== "text") {
+          output += openBlock("text", { type: "text", text: "" });
+        }
+        output += blockDelta({ type: "text_delta", text: text });
+      }
+    }
+
+    if (streamState.stopSequence) {
+      streamState.stopReason = "stop_sequence";
+    } else if (candidate?.finishReason) {
+      streamState.stopReason = this._translateGoogleFinishReasonToAnthropic(
+        candidate.finishReason,
+        streamState.hasToolUse
+      );
+    }
+    return output;
+  }
+
+  _openAnthropicStreamBlock(streamState, blockType, contentBlock) {
+    let events = "";
+    if (streamState.openBlockType) {
+      events += this._buildAnthropicEvent("content_block_stop", {
+        type: "content_block_stop",
+        index: streamState.blockIndex,
+      });
+    }
+    streamState.blockIndex++;
+    streamState.openBlockType = blockType;
+    events += this._buildAnthropicEvent("content_block_start", {
+      type: "content_block_start",
+      index: streamState.blockIndex,
+      content_block: contentBlock,
+    });
+    return events;
+  }
+
+  _buildAnthropicBlockDelta(streamState, delta) {
+    return this._buildAnthropicEvent("content_block_delta", {
+      type: "content_block_delta",
+      index: streamState.blockIndex,
+      delta: delta,
+    });
+  }
+
+  // 流式文本按停止序列截断：命中时返回序列之前的文本并记录 stopSequence，
+  // 否则留下最长停止序列减一个字符的尾部，其余可以安全发出
+  _takeAnthropicStreamText(text, streamState) {
+    const stopSequences = streamState.stopSequences;
+    if (stopSequences.length === 0) return text;
+    const buffered = streamState.pendingText + text;
+    const match = this._findStopSequence(buffered, stopSequences);
+    if (match) {
+      streamState.stopSequence = match.sequence;
+      streamState.pendingText = "";
+      return buffered.substring(0, match.index);
+    }
+    const holdBack = Math.max(...stopSequences.map((s) => s.length)) - 1;
+    const safeLength = Math.max(0, buffered.length - holdBack);
+    streamState.pendingText = buffered.substring(safeLength);
+    return buffered.substring(0, safeLength);
+  }
+
+  // 文本被其他内容块打断或流结束时，暂存的尾部不可能再构成停止序列，直接发出
+  _flushAnthropicPendingText(streamState) {
+    const text = streamState.pendingText;
+    if (!text) return "";
+    streamState.pendingText = "";
+    let output = "";
+    if (streamState.openBlockType !== "text") {
+      output += this._openAnthropicStreamBlock(streamState, "text", {
+        type: "text",
+        text: "",
+      });
+    }
+    return (
+      output +
+      this._buildAnthropicBlockDelta(streamState, {
+        type: "text_delta",
+        text: text,
+      })
+    );
+  }
+
+  _finishAnthropicStream(streamState) {
+    let output = "";
+    if (!streamState.started) {
+      // 上游没有返回任何事件时也要给出完整的消息骨架
+      output += this._translateGoogleToAnthropicStream("{}", streamState);
+    }
+    output += this._flushAnthropicPendingText(streamState);
+    if (streamState.openBlockType) {
+      output += this._buildAnthropicEvent("content_block_stop", {
+        type: "content_block_stop",
+        index: streamState.blockIndex,
+      });
+      streamState.openBlockType = null;
+    }
+    output += this._buildAnthropicEvent("message_delta", {
+      type: "message_delta",
+      delta: {
+        stop_reason: streamState.stopReason,
+        stop_sequence: streamState.stopSequence,
+      },
+      usage: {
+        output_tokens: this._translateGoogleUsageToAnthropic(
+          streamState.usageMetadata
+        ).output_tokens,
+      },
+    });
+    output += this._buildAnthropicEvent("message_stop", {
+      type: "message_stop",
+    });
+    return output;
+  }
+
+  _sendAnthropicErrorResponse(res, status, message) {
+    if (res.headersSent) return;
+    const errorTypes = {
+      400: "invalid_request_error",
+      401: "authentication_error",
+      403: "permission_error",
+      404: "not_found_error",
+      413: "request_too_large",
+      429: "rate_limit_error",
+      529: "overloaded_error",
+    };
+    res.status(status || 500).json({
+      type: "error",
+      error: {
+        type: errorTypes[status] || "api_error",
+        message: message,
+      },
+    });
+  }
+
+  _translateResponsesToChat(responsesBody, previous) {
+    const messages = [];
+    if (responsesBody.instructions) {
+      messages.push({ role: "system", content: responsesBody.instructions });
+    }
+    // instructions 不随 previous_response_id 继承，只续接对话内容
+    if (previous) messages.push(...previous.messages);
+
+    const inputItems =
+      typeof responsesBody.input === "string"
+        ? [{ role: "user", content: responsesBody.input }]
+        : responsesBody.input || [];
+    for (const item of inputItems) {
+      const itemType = item.type || "message";
+      if (itemType === "message") {
+        const role = item.role === "developer" ? "system" : item.role;
+        const content =
+          typeof item.content === "string"
+            ? item.content
+            : (item.content || []).map((part) => {
+                if (part.type === "input_text" || part.type === "output_text") {
+                  return { type: "text", text: part.text };
+                }
+                if (part.type === "input_image") {
+                  return {
+                    type: "image_url",
+                    image_url: { url: part.image_url },
+                  };
+                }
+                if (part.type === "input_file") {
+                  return {
+                    type: "file",
+                    file: {
+                      file_data: part.file_data,
+                      file_id: part.file_id,
+                      filename: part.filename,
+                    },
+                  };
+                }
+                throw new Error(`Unsupported content part type: ${part.type}`);
+              });
+        messages.push({ role: role, content: content });
+      } else if (itemType === "function_call") {
+        const toolCall = {
+          id: item.call_id,
+          type: "function",
+          function: { name: item.name, arguments: item.arguments },
+        };
+        // 连续的 function_call 合并到同一条 assistant 消息中
+        const lastMessage = messages[messages.length - 1];
+        if (lastMessage?.role === "assistant" && lastMessage.tool_calls) {
+          lastMessage.tool_calls.push(toolCall);
+        } else {
+          messages.push({
+            role: "assistant",
+            content: null,
+            tool_calls: [toolCall],
+          });
+        }
+      } else if (itemType === "function_call_output") {
+        messages.push({
+          role: "tool",
+          tool_call_id: item.call_id,
+          content: item.output,
+        });
+      } else if (itemType !== "reasoning") {
+        throw new Error(`Unsupported input item type: ${itemType}`);
+      }
+    }
+
+    const chatBody = {
+      messages: messages,
+      temperature: responsesBody.temperature,
+      top_p: responsesBody.top_p,
+      max_tokens: responsesBody.max_output_tokens,
+    };
+    if (Array.isArray(responsesBody.tools) && responsesBody.tools.length > 0) {
+      chatBody.tools = responsesBody.tools.map((tool) => {
+        if (tool.type !== "function") {
+          throw new Error(`Unsupported tool type: ${tool.type}`);
+        }
+        return {
+          type: "function",
+          function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters,
+          },
+        };
+      });
+    }
+    const toolChoice = responsesBody.tool_choice;
+    if (toolChoice !== undefined) {
+      chatBody.tool_choice =
+        toolChoice?.type === "function"
+          ? { type: "function", function: { name: toolChoice.name } }
+          : toolChoice;
+    }
+    const textFormat = responsesBody.text?.format;
+    if (textFormat?.type === "json_schema") {
+      chatBody.response_format = {
+        type: "json_schema",
+        json_schema: { name: textFormat.name, schema: textFormat.schema },
+      };
+    } else if (textFormat?.type === "json_object") {
+      chatBody.response_format = { type: "json_object" };
+    }
+    if (responsesBody.reasoning?.effort) {
+      chatBody.reasoning_effort = responsesBody.reasoning.effort;
+    }
+    return chatBody;
+  }
+
+  _translateResponsesOutputToChat(outputItems) {
+    const assistantMessage = { role: "assistant", content: null };
+    for (const item of outputItems) {
+      if (item.type === "message") {
+        assistantMessage.content = item.content.map((c) => c.text).join("");
+      } else if (item.type === "function_call") {
+        assistantMessage.tool_calls = assistantMessage.tool_calls || [];
+        assistantMessage.tool_calls.push({
+          id: item.call_id,
+          type: "function",
+          function: { name: item.name, arguments: item.arguments },
+        });
+      }
+    }
+    return assistantMessage.content !== null || assistantMessage.tool_calls
+      ? [assistantMessage]
+      : [];
+  }
+
+  _storeResponse(response, messages) {
+    this.responseStore.set(response.id, { response, messages });
+    while (this.responseStore.size > this.maxStoredResponses) {
+      this.responseStore.delete(this.responseStore.keys().next().value);
+    }
+  }
+
+  _createResponsesState(requestId, model, responsesBody) {
+    return {
+      id: `resp_${requestId}`,
+      createdAt: Math.floor(Date.now() / 1000),
+      model: model,
+      request: responsesBody,
+      sequenceNumber: 0,
+      outputItems: [],
+      openItem: null,
+      usageMetadata: null,
+      finishReason: null,
+    };
+  }
+
+  _buildResponsesObject(state, status) {
+    const isIncomplete =
+      this._translateGoogleFinishReason(state.finishReason) === "length";
+    const finalStatus = status || (isIncomplete ? "incomplete" : "completed");
+    const usage = this._translateGoogleUsage(state.usageMetadata);
+    const request = state.request;
+    return {
+      id: state.id,
+      object: "response",
+      created_at: state.createdAt,
+      status: finalStatus,
+      incomplete_details:
+        finalStatus === "incomplete" ? { reason: "max_output_tokens" } : null,
+      error: null,
+      model: state.model,
+      instructions: request.instructions ?? null,
+      previous_response_id: request.previous_response_id ?? null,
+      max_output_tokens: request.max_output_tokens ?? null,
+      temperature: request.temperature ?? null,
+      top_p: request.top_p ?? null,
+      tools: request.tools || [],
+      tool_choice: request.tool_choice ?? "auto",
+      store: request.store !== false,
+      metadata: request.metadata || {},
+      output: state.outputItems,
+      output_text: state.outputItems
+        .filter((item) => item.type === "message")
+        .map((item) => item.content.map((c) => c.text).join(""))
+        .join(""),
+      usage:
+        status === "in_progress"
+          ? null
+          : {
+              input_tokens: usage.prompt_tokens,
+              input_tokens_details: usage.prompt_tokens_details,
+              output_tokens: usage.completion_tokens,
+              output_tokens_details: usage.completion_tokens_details,
+              total_tokens: usage.total_tokens,
+            },
+    };
+  }
+
+  _buildResponsesEvent(state, eventType, payload) {
+    const event = {
+      type: eventType,
+      sequence_number: state.sequenceNumber++,
+      ...payload,
+    };
+    return `event: ${eventType}\ndata: ${JSON.stringify(event)}\n\n`;
+  }
+
+  _startResponsesStream(state) {
+    const response = this._buildResponsesObject(state, "in_progress");
+    return (
+      this._buildResponsesEvent(state, "response.created", { response }) +
+      this._buildResponsesEvent(state, "response.in_progress", { response })
+    );
+  }
+
+  // 将 Gemini 响应（流式块或完整响应）累积到输出项中，并返回对应的流式事件
+  _applyGoogleResponseToResponsesState(googleResponse, state) {
+    if (googleResponse.usageMetadata) {
+      state.usageMetadata = googleResponse.usageMetadata;
+    }
+    const candidate = googleResponse.candidates?.[0];
+    if (!candidate) return "";
+    if (candidate.finishReason) state.finishReason = candidate.finishReason;
+
+    let events = "";
+    for (const part of candidate.content?.parts || []) {
+      if (part.functionCall) {
+        events += this._closeResponsesOutputItem(state);
+        const item = {
+          type: "function_call",
+          id: `fc_${crypto.randomBytes(12).toString("hex")}`,
+          call_id: `call_${crypto.randomBytes(12).toString("hex")}`,
+          name: part.functionCall.name,
+          arguments: JSON.stringify(part.functionCall.args || {}),
+          status: "completed",
+        };
+        const outputIndex = state.outputItems.push(item) - 1;
+        events += this._buildResponsesEvent(
+          state,
+          "response.output_item.added",
+          {
+            output_index: outputIndex,
+            item: { ...item, arguments: "", status: "in_progress" },
+          }
+        );
+        events += this._buildResponsesEvent(
+          state,
+          "response.function_call_arguments.delta",
+          { item_id: item.id, output_index: outputIndex, delta: item.arguments }
+        );
+        events += this._buildResponsesEvent(
+          state,
+          "response.function_call_arguments.done",
+          {
+            item_id: item.id,
+            output_index: outputIndex,
+            arguments: item.arguments,
+          }
+        );
+        events += this._buildResponsesEvent(
+          state,
+          "response.output_item.done",
+          {
+            output_index: outputIndex,
+            item: item,
+          }
+        );
+        continue;
+      }
+
+      const isThought = part.thought === true;
+      let text = part.text;
+      if (part.inlineData) {
+        const image = part.inlineData;
+        text = `![Generated Image](data:${image.mimeType};base64,${image.data})`;
+      }
+      if (!text) continue;
+
+      const itemType = isThought ? "reasoning" : "message";
+      if (state.openItem?.item.type !== itemType) {
+        events += this._closeResponsesOutputItem(state);
+        events += this._openResponsesOutputItem(state, itemType);
+      }
+      const { item, outputIndex } = state.openItem;
+      if (isThought) {
+        item.summary[0].text += text;
+        events += this._buildResponsesEvent(
+          state,
+          "response.reasoning_summary_text.delta",
+          {
+            item_id: item.id,
+            output_index: outputIndex,
+            summary_index: 0,
+            delta: text,
+          }
+        );
+      } else {
+        item.content[0].text += text;
+        events += this._buildResponsesEvent(
+          state,
+          "response.output_text.delta",
+          {
+            item_id: item.id,
+            output_index: outputIndex,
+            content_index: 0,
+            delta: text,
+          }
+        );
+      }
+    }
+    return events;
+  }
+
+  _openResponsesOutputItem(state, itemType) {
+    const item =
+      itemType === "reasoning"
+        ? {
+            type: "reasoning",
+            id: `rs_${crypto.randomBytes(12).toString("hex")}`,
+            summary: [{ type: "summary_text", text: "" }],
+          }
+        : {
+            type: "message",
+            id: `msg_${crypto.randomBytes(12).toString("hex")}`,
+            status: "completed",
+            role: "assistant",
+            content: [{ type: "output_text", text: "", annotations: [] }],
+          };
+    const outputIndex = state.outputItems.push(item) - 1;
+    state.openItem = { item, outputIndex };
+
+    const partEvent =
+      itemType === "reasoning"
+        ? this._buildResponsesEvent(
+            state,
+            "response.reasoning_summary_part.added",
+            {
+              item_id: item.id,
+              output_index: outputIndex,
+              summary_index: 0,
+              part: { type: "summary_text", text: "" },
+            }
+          )
+        : this._buildResponsesEvent(state, "response.content_part.added", {
+            item_id: item.id,
+            output_index: outputIndex,
+            content_index: 0,
+            part: { type: "output_text", text: "", annotations: [] },
+          });
+    return (
+      this._buildResponsesEvent(state, "response.output_item.added", {
+        output_index: outputIndex,
+        item:
+          itemType === "reasoning"
+            ? { ...item, summary: [] }
+            : { ...item, status: "in_progress", content: [] },
+      }) + partEvent
+    );
+  }
+
+  _closeResponsesOutputItem(state) {
+    if (!state.openItem) return "";
+    const { item, outputIndex } = state.openItem;
+    state.openItem = null;
+
+    let events = "";
+    if (item.type === "reasoning") {
+      events += this._buildResponsesEvent(
+        state,
+        "response.reasoning_summary_text.done",
+        {
+          item_id: item.id,
+          output_index: outputIndex,
+          summary_index: 0,
+          text: item.summary[0].text,
+        }
+      );
+      events += this._buildResponsesEvent(
+        state,
+        "response.reasoning_summary_part.done",
+        {
+          item_id: item.id,
+          output_index: outputIndex,
+          summary_index: 0,
+          part: item.summary[0],
+        }
+      );
+    } else {
+      events += this._buildResponsesEvent(state, "response.output_text.done", {
+        item_id: item.id,
+        output_index: outputIndex,
+        content_index: 0,
+        text: item.content[0].text,
+      });
+      events += this._buildResponsesEvent(state, "response.content_part.done", {
+        item_id: item.id,
+        output_index: outputIndex,
+        content_index: 0,
+        part: item.content[0],
+      });
+    }
+    events += this._buildResponsesEvent(state, "response.output_item.done", {
+      output_index: outputIndex,
+      item: item,
+    });
+    return events;
+  }
+
+  _extractGoogleText(candidate) {
+    return (candidate.content?.parts || [])
+      .filter((p) => p.text && !p.thought)
+      .map((p) => p.text)
+      .join("");
+  }
+
+  _buildCompletionChunk(streamState, choices, extraFields = {}) {
+    const chunk = {
+      id: streamState.id,
+      object: "text_completion",
+      created: streamState.created,
+      model: streamState.model,
+      choices: choices,
+      ...extraFields,
+    };
+    return `data: ${JSON.stringify(chunk)}\n\n`;
+  }
+
+  _translateGoogleToCompletionStream(googleData, streamState) {
+    let googleResponse;
+    try {
+      googleResponse = JSON.parse(googleData);
+    } catch (e) {
+      this.logger.warn(`[Adapter] 无法解析Google返回的JSON块: ${googleData}`);
+      return "";
+    }
+    if (googleResponse.usageMetadata) {
+      streamState.usageMetadata = googleResponse.usageMetadata;
+    }
+
+    let output = "";
+    (googleResponse.candidates || []).forEach((candidate, position) => {
+      // 多 prompt 请求中，第 i 个 prompt 的 choices 从 i * n 开始编号
+      const index =
+        (streamState.indexOffset || 0) + (candidate.index ?? position);
+      let text = this._extractGoogleText(candidate);
+      // echo 时在每个 choice 的第一个块前拼上原始 prompt
+      if (streamState.echoPrompt && !streamState.echoedChoices.has(index)) {
+        streamState.echoedChoices.add(index);
+        text = streamState.echoPrompt + text;
+      }
+      if (!text && !candidate.finishReason) return;
+      output += this._buildCompletionChunk(streamState, [
+        {
+          text: text,
+          index: index,
+          logprobs: null,
+          finish_reason: candidate.finishReason
+            ? this._translateGoogleFinishReason(candidate.finishReason)
+            : null,
+        },
+      ]);
+    });
+    return output;
+  }
+
+  _translateOllamaToChat(ollamaBody, endpoint) {
+    const options = ollamaBody.options || {};
+    const toImagePart = (base64) => {
+      // Ollama 只传裸 base64，按文件头推断 MIME 类型
+      const mimeType = base64.startsWith("/9j/")
+        ? "image/jpeg"
+        : base64.startsWith("R0lG")
+        ? "image/gif"
+        : base64.startsWith("UklG")
+        ? "image/webp"
+        : "image/png";
+      return {
+        type: "image_url",
+        image_url: { url: `data:${mimeType};base64,${base64}` },
+      };
+    };
+    const withImages = (text, images) =>
+      Array.isArray(images) && images.length > 0
+        ? [{ type: "text", text: text || "" }, ...images.map(toImagePart)]
+        : text || "";
+
+    const messages = [];
+    if (endpoint === "generate") {
+      if (ollamaBody.system) {
+        messages.push({ role: "system", content: ollamaBody.system });
+      }
+      if (ollamaBody.suffix) {
+        messages.push(this._buildSuffixInstruction(ollamaBody.suffix));
+      }
+      messages.push({
+        role: "user",
+        content: withImages(ollamaBody.prompt, ollamaBody.images),
+      });
+    } else {
+      // Ollama 的工具调用没有 id，按顺序生成并让后续 tool 消息依次对应
+      const pendingToolCalls = [];
+      let toolCallCounter = 0;
+      for (const message of ollamaBody.messages || []) {
+        if (message.role === "assistant" && message.tool_calls?.length) {
+          const toolCalls = message.tool_calls.map((toolCall) => {
+            const id = `call_${toolCallCounter++}`;
+            pendingToolCalls.push({ id, name: toolCall.function.name });
+            return {
+              id: id,
+              type: "function",
+              function: {
+                name: toolCall.function.name,
+                arguments: JSON.stringify(toolCall.function.arguments || {}),
+              },
+            };
+          });
+          messages.push({
+            role: "assistant",
+            content: message.content || null,
+            tool_calls: toolCalls,
+          });
+        } else if (message.role === "tool") {
+          const matchIndex = message.tool_name
+            ? pendingToolCalls.findIndex((c) => c.name === message.tool_name)
+            : 0;
+          const toolCall = pendingToolCalls.splice(
+            Math.max(matchIndex, 0),
+            1
+          )[0];
+          messages.push({
+            role: "tool",
+            tool_call_id: toolCall?.id,
+            name: message.tool_name || toolCall?.name,
+            content: message.content,
+          });
+        } else {
+          messages.push({
+            role: message.role,
+            content: withImages(message.content, message.images),
+          });
+        }
+      }
+    }
+
+    const chatBody = {
+      messages: messages,
+      temperature: options.temperature,
+      top_p: options.top_p,
+      top_k: options.top_k,
+      max_tokens: options.num_predict > 0 ? options.num_predict : undefined,
+      stop: options.stop,
+      presence_penalty: options.presence_penalty,
+      frequency_penalty: options.frequency_penalty,
+      seed: options.seed,
+    };
+    if (Array.isArray(ollamaBody.tools) && ollamaBody.tools.length > 0) {
+      chatBody.tools = ollamaBody.tools;
+    }
+    if (ollamaBody.format === "json") {
+      chatBody.response_format = { type: "json_object" };
+    } else if (ollamaBody.format && typeof ollamaBody.format === "object") {
+      chatBody.response_format = {
+        type: "json_schema",
+        json_schema: { name: "response", schema: ollamaBody.format },
+      };
+    }
+    if (ollamaBody.think !== undefined) {
+      chatBody.extra_body = {
+        google: { thinking_config: { include_thoughts: !!ollamaBody.think } },
+      };
+    }
+    return chatBody;
+  }
+
+  _createOllamaStreamState(endpoint, model) {
+    return {
+      endpoint: endpoint,
+      model: model,
+      startTime: process.hrtime.bigint(),
+      usageMetadata: null,
+      finishReason: null,
+    };
+  }
+
+  _buildOllamaResponse(streamState, candidate, done) {
+    const parts = candidate.content?.parts || [];
+    const content = this._extractGoogleText(candidate);
+    const thinking = parts
+      .filter((p) => p.thought && p.text)
+      .map((p) => p.text)
+      .join("");
+    const toolCalls = parts
+      .filter((p) => p.functionCall)
+      .map((p) => ({
+        function: {
+          name: p.functionCall.name,
+          arguments: p.functionCall.args || {},
+        },
+      }));
+
+    const response = {
+      model: streamState.model,
+      created_at: new Date().toISOString(),
+    };
+    if (streamState.endpoint === "generate") {
+      response.response = content;
+      if (thinking) response.thinking = thinking;
+    } else {
+      response.message = { role: "assistant", content: content };
+      if (thinking) response.message.thinking = thinking;
+      if (toolCalls.length > 0) response.message.tool_calls = toolCalls;
+    }
+    response.done = done;
+    if (done) {
+      const usage = this._translateGoogleUsage(streamState.usageMetadata);
+      const totalDuration = Number(
+        process.hrtime.bigint() - streamState.startTime
+      );
+      response.done_reason =
+        this._translateGoogleFinishReason(streamState.finishReason) === "length"
+          ? "length"
+          : "stop";
+      response.total_duration = totalDuration;
+      response.load_duration = 0;
+      response.prompt_eval_count = usage.prompt_tokens;
+      response.prompt_eval_duration = 0;
+      response.eval_count = usage.completion_tokens;
+      response.eval_duration = totalDuration;
+    }
+    return response;
+  }
+
+  _getDefaultSafetySettings() {
+    return [
+      { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
+      { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
+      { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
+      { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
+    ];
+  }
+
+  // 安全设置在配置里既可以写成数组，也可以写成 { 类别: 阈值 } 的对象
+  _toSafetySettingsMap(safetySettings) {
+    if (Array.isArray(safetySettings)) {
+      return Object.fromEntries(
+        safetySettings.map((s) => [s.category, s.threshold])
+      );
+    }
+    return { ...(safetySettings || {}) };
+  }
+
+  // 按 全局 → 模型 → API Key 的顺序合并策略，越具体的层级优先
+  _resolveGenerationPolicy(model, apiKey) {
+    const layers = [
+      this.config.generationPolicy,
+      (this.config.modelPolicies || {})[model],
+      apiKey ? (this.config.apiKeyPolicies || {})[apiKey] : null,
+    ].filter(Boolean);
+    const policy = {
+      safetySettings: this._toSafetySettingsMap(
+        this._getDefaultSafetySettings()
+      ),
+      generationConfig: {},
+      allowOverride: true,
+      // 由某个层级显式配置的安全类别（区别于内置的 BLOCK_NONE 基线），只有它们受 allowOverride 约束
+      safetyCategories: new Set(),
+    };
+    for (const layer of layers) {
+      const layerSafety = this._toSafetySettingsMap(layer.safetySettings);
+      Object.assign(policy.safetySettings, layerSafety);
+      Object.keys(layerSafety).forEach((category) =>
+        policy.safetyCategories.add(category)
+      );
+      Object.assign(policy.generationConfig, layer.generationConfig || {});
+      if (layer.allowOverride !== undefined) {
+        policy.allowOverride = layer.allowOverride;
+      }
+    }
+    return policy;
+  }
+
+  // 把策略应用到已翻译好的 Google 请求体上：
+  // allowOverride 为 true 时请求参数优先；为字段数组时只有列出的字段可被请求覆盖；
+  // 为 false 时请求不得改动策略设置了的参数（未设置的参数不受限），否则抛出 400 并列出被拒绝的字段，而不是悄悄改写请求
+  _applyGenerationPolicy(googleRequest, model, apiKey) {
+    const policy = this._resolveGenerationPolicy(
+      this._resolveModelName(model),
+      apiKey
+    );
+    const canOverride = (field) =>
+      policy.allowOverride === true ||
+      (Array.isArray(policy.allowOverride) &&
+        policy.allowOverride.includes(field));
+    const generationConfig = googleRequest.generationConfig || {};
+    const rejectedFields = [];
+    for (const [field, value] of Object.entries(policy.generationConfig)) {
+      if (generationConfig[field] === undefined) {
+        generationConfig[field] = value;
+      } else if (
+        JSON.stringify(generationConfig[field]) !== JSON.stringify(value) &&
+        !canOverride(field)
+      ) {
+        rejectedFields.push(field);
+      }
+    }
+
+    const safetySettings = policy.safetySettings;
+    if (Array.isArray(googleRequest.safetySettings)) {
+      const requested = this._toSafetySettingsMap(googleRequest.safetySettings);
+      const lockedChanges = Object.entries(requested).filter(
+        ([category, threshold]) =>
+          policy.safetyCategories.has(category) &&
+          safetySettings[category] !== threshold
+      );
+      if (canOverride("safetySettings") || lockedChanges.length === 0) {
+        Object.assign(safetySettings, requested);
+      } else {
+        rejectedFields.push("safetySettings");
+      }
+    }
+
+    if (rejectedFields.length > 0) {
+      this.logger.warn(
+        `[Adapter] 请求试图覆盖策略不允许修改的参数，已拒绝: ${rejectedFields.join(
+          ", "
+        )}`
+      );
+      throw Object.assign(
+        new Error(
+          `generation policy does not allow overriding: ${rejectedFields.join(
+            ", "
+          )}`
+        ),
+        { status: 400 }
+      );
+    }
+    googleRequest.generationConfig = generationConfig;
+    googleRequest.safetySettings = Object.entries(safetySettings).map(
+      ([category, threshold]) => ({ category, threshold })
+    );
+    return googleRequest;
+  }
+
+  // 原生模式下请求体是 OpenAI 格式：按对照表换算成 generationConfig 套用同一套策略，再写回请求体。
+  // 对照表之外的策略字段（如 topK）和安全设置无法经原生端点下发，直接拒绝而不是静默放行
+  _applyGenerationPolicyToOpenAIBody(openaiBody, model, apiKey) {
+    const fieldMap = {
+      temperature: "temperature",
+      top_p: "topP",
+      max_tokens: "maxOutputTokens",
+      n: "candidateCount",
+      presence_penalty: "presencePenalty",
+      frequency_penalty: "frequencyPenalty",
+      seed: "seed",
+      logprobs: "responseLogprobs",
+      top_logprobs: "logprobs",
+    };
+    const policy = this._resolveGenerationPolicy(
+      this._resolveModelName(model),
+      apiKey
+    );
+    const mappedFields = Object.values(fieldMap);
+    const unsupported = Object.keys(policy.generationConfig).filter(
+      (field) => !mappedFields.includes(field)
+    );
+    if (policy.safetyCategories.size > 0) unsupported.push("safetySettings");
+    if (unsupported.length > 0) {
+      throw Object.assign(
+        new Error(
+          `generation policy fields ${unsupported.join(
+            ", "
+          )} cannot be enforced on the native OpenAI endpoint; use openaiAdapterMode "translate" for model ${model}`
+        ),
+        { status: 400 }
+      );
+    }
+
+    if (openaiBody.max_completion_tokens !== undefined) {
+      openaiBody.max_tokens ??= openaiBody.max_completion_tokens;
+      delete openaiBody.max_completion_tokens;
+    }
+    const googleRequest = { generationConfig: {} };
+    for (const [openaiField, googleField] of Object.entries(fieldMap)) {
+      if (openaiBody[openaiField] !== undefined) {
+        googleRequest.generationConfig[googleField] = openaiBody[openaiField];
+      }
+    }
+    this._applyGenerationPolicy(googleRequest, model, apiKey);
+    for (const [openaiField, googleField] of Object.entries(fieldMap)) {
+      const value = googleRequest.generationConfig[googleField];
+      if (value === undefined) delete openaiBody[openaiField];
+      else openaiBody[openaiField] = value;
+    }
+    return openaiBody;
+  }
+
+  // 将 JSON Schema 转换为 Gemini 支持的 OpenAPI 子集，无法表示的结构直接报错
+  _convertJsonSchemaForGemini(rootSchema) {
+    const definitions = {
+      ...(rootSchema.definitions || {}),
+      ...(rootSchema.$defs || {}),
+    };
+    const supportedKeys = [
+      "format",
+      "title",
+      "description",
+      "nullable",
+      "enum",
+      "maxItems",
+      "minItems",
+      "minProperties",
+      "maxProperties",
+      "minLength",
+      "maxLength",
+      "pattern",
+      "example",
+      "default",
+      "minimum",
+      "maximum",
+      "propertyOrdering",
+    ];
+
+    const checkNode = (schema) => {
+      if (typeof schema !== "object" || schema === null) {
+        throw new Error("Schema nodes must be objects");
+      }
+    };
+
+    // 展开 $ref（与兄弟字段合并），refStack 用于发现递归引用
+    const resolveRef = (schema, refStack) => {
+      const match = schema.$ref.match(/^#\/(?:\$defs|definitions)\/(.+)$/);
+      if (!match || !definitions[match[1]]) {
+        throw new Error(`Unresolvable $ref: ${schema.$ref}`);
+      }
+      if (refStack.includes(match[1])) {
+        throw new Error(
+          `Recursive $ref "${schema.$ref}" cannot be represented in a Gemini schema`
+        );
+      }
+      const { $ref, ...siblings } = schema;
+      return {
+        schema: { ...definitions[match[1]], ...siblings },
+        refStack: [...refStack, match[1]],
+      };
+    };
+
+    // 合并两个原始 JSON Schema（allOf 的语义是同时满足）：
+    // properties 取并集，同名属性再以 allOf 组合；required 取并集；enum 取交集；
+    // 数值/长度约束取更严格的一方；类型冲突直接报错；其余注解字段保留先出现的值
+    const mergeSchemas = (target, source) => {
+      const merged = { ...target };
+      for (const [key, value] of Object.entries(source)) {
+        if (merged[key] === undefined) {
+          merged[key] = value;
+          continue;
+        }
+        switch (key) {
+          case "type": {
+            const normalize = (t) =>
+              JSON.stringify(
+                []
+                  .concat(t)
+                  .map((v) => String(v).toLowerCase())
+                  .sort()
+              );
+            if (normalize(merged.type) !== normalize(value)) {
+              throw new Error("allOf with conflicting types is not supported");
+            }
+            break;
+          }
+          case "properties":
+            merged.properties = { ...merged.properties };
+            for (const [name, propSchema] of Object.entries(value)) {
+              merged.properties[name] = merged.properties[name]
+                ? { allOf: [merged.properties[name], propSchema] }
+                : propSchema;
+            }
+            break;
+          case "required":
+            merged.required = [...new Set([...merged.required, ...value])];
+            break;
+          case "enum":
+            merged.enum = merged.enum.filter((v) => value.includes(v));
+            if (merged.enum.length === 0) {
+              throw new Error(
+                "allOf with disjoint enum values is not supported"
+              );
+            }
+            break;
+          case "minimum":
+          case "minLength":
+          case "minItems":
+          case "minProperties":
+            merged[key] = Math.max(merged[key], value);
+            break;
+          case "maximum":
+          case "maxLength":
+          case "maxItems":
+          case "maxProperties":
+            merged[key] = Math.min(merged[key], value);
+            break;
+          default:
+            break;
+        }
+      }
+      return merged;
+    };
+
+    // allOf 先在原始 JSON Schema 层面合并（子 schema 的 $ref 与嵌套 allOf 一并展开），
+    // 合并结果只转换一次，避免已转换的节点被再次转换
+    const mergeAllOf = (schema, refStack) => {
+      const { allOf, ...rest } = schema;
+      let merged = rest;
+      let stack = refStack;
+      for (let subSchema of allOf) {
+        checkNode(subSchema);
+        while (subSchema.$ref) {
+          ({ schema: subSchema, refStack: stack } = resolveRef(
+            subSchema,
+            stack
+          ));
+        }
+        if (Array.isArray(subSchema.allOf)) {
+          ({ schema: subSchema, refStack: stack } = mergeAllOf(
+            subSchema,
+            stack
+          ));
+        }
+        merged = mergeSchemas(merged, subSchema);
+      }
+      return { schema: merged, refStack: stack };
+    };
+
+    const convert = (schema, refStack) => {
+      checkNode(schema);
+
+      if (schema.$ref) {
+        const resolved = resolveRef(schema, refStack);
+        return convert(resolved.schema, resolved.refStack);
+      }
+
+      if (Array.isArray(schema.allOf)) {
+        const merged = mergeAllOf(schema, refStack);
+        return convert(merged.schema, merged.refStack);
+      }
+
+      const result = {};
+      let type = schema.type;
+      if (Array.isArray(type)) {
+        const nonNullTypes = type.filter((t) => t !== "null");
+        if (nonNullTypes.length < type.length) result.nullable = true;
+        if (nonNullTypes.length === 1) {
+          type = nonNullTypes[0];
+        } else {
+          // 多类型联合改写为 anyOf
+          return {
+            ...result,
+            anyOf: nonNullTypes.map((t) =>
+              convert({ ...schema, type: t }, refStack)
+            ),
+          };
+        }
+      }
+      if (type === "null") {
+        throw new Error('A bare "null" type cannot be represented');
+      }
+      if (type) result.type = String(type).toUpperCase();
+
+      for (const key of supportedKeys) {
+        if (schema[key] !== undefined) result[key] = schema[key];
+      }
+      if (schema.const !== undefined) result.enum = [schema.const];
+      if (result.enum) {
+        if (!result.enum.every((v) => typeof v === "string")) {
+          throw new Error("Only string enum values are supported");
+        }
+        result.type = "STRING";
+        result.format = "enum";
+      }
+
+      if (schema.properties) {
+        result.properties = {};
+        for (const [name, propSchema] of Object.entries(schema.properties)) {
+          result.properties[name] = convert(propSchema, refStack);
+        }
+      }
+      if (Array.isArray(schema.required) && schema.required.length > 0) {
+        result.required = schema.required;
+      }
+      if (schema.items) {
+        if (Array.isArray(schema.items)) {
+          throw new Error("Tuple-style items arrays are not supported");
+        }
+        result.items = convert(schema.items, refStack);
+      }
+      const unionSchemas = schema.anyOf || schema.oneOf;
+      if (Array.isArray(unionSchemas)) {
+        const variants = unionSchemas.filter((v) => v.type !== "null");
+        if (variants.length < unionSchemas.length) result.nullable = true;
+        if (variants.length === 1) {
+          return { ...result, ...convert(variants[0], refStack) };
+        }
+        result.anyOf = variants.map((v) => convert(v, refStack));
+      }
+      return result;
+    };
+
+    return convert(rootSchema, []);
+  }
+
+  // 各模型系列允许的 thinkingBudget 范围；2.5 Pro 不能关闭思考 (预算 0 会被上游拒绝)
+  _getThinkingBudgetRange(modelName = "") {
+    const name = String(modelName).replace(/^models\//, "");
+    if (/^gemini-2\.5-pro/.test(name)) {
+      return { min: 128, max: 32768, canDisable: false };
+    }
+    if (/^gemini-2\.5-flash-lite/.test(name)) {
+      return { min: 512, max: 24576, canDisable: true };
+    }
+    if (/^gemini-2\.5-flash/.test(name)) {
+      return { min: 1, max: 24576, canDisable: true };
+    }
+    return null;
+  }
+
+  // 思考预算的合法范围取决于实际发送的模型：每次派发（含后备模型）都按该模型重新生成 thinkingConfig
+  _withThinkingConfigForModel(googleBody, openaiBody, targetModel, strict) {
+    const thinkingConfig = this._translateOpenAIThinkingConfig(
+      openaiBody,
+      targetModel,
+      strict
+    );
+    if (!thinkingConfig) return googleBody;
+    return {
+      ...googleBody,
+      generationConfig: { ...googleBody.generationConfig, thinkingConfig },
+    };
+  }
 
-    try {
-      // 1. 等待响应头信息
-      const headerMessage = await messageQueue.dequeue();
-      if (headerMessage.event_type === "error") {
-        // ... (错误处理逻辑保持不变)
-        if (headerMessage.message?.includes("The user aborted a request")) {
+  // strict 为 false 时（切换到后备模型），显式的 thinking_budget: 0 也改为模型的最小预算而不是报错
+  _translateOpenAIThinkingConfig(openaiBody, modelName = "", strict = true) {
+    const effortBudgets = {
+      none: 0,
+      minimal: 128,
+      low: 1024,
+      medium: 8192,
+      high: 24576,
+    };
+    // 与 Google 官方 OpenAI 兼容层一致：extra_body.google.thinking_config
+    const vendorConfig =
+      openaiBody.extra_body?.google?.thinking_config ||
+      openaiBody.google?.thinking_config ||
+      null;
+
+    const thinkingConfig = {};
+    const effort = openaiBody.reasoning_effort;
+    if (effort !== undefined) {
+      if (!(effort in effortBudgets)) {
+        throw new Error(`Unsupported reasoning_effort: ${effort}`);
+      }
+      let budget = effortBudgets[effort];
+      const range = this._getThinkingBudgetRange(modelName);
+      if (range && (budget > 0 || !range.canDisable)) {
+        const clamped = Math.min(Math.max(budget, range.min), range.max);
+        if (clamped !== budget) {
           this.logger.info(
-            `[Request] 请求 #${proxyRequest.request_id} 已被用户妥善取消。`
-          );
-        } else {
-          this.logger.error(
-            `[Request] 浏览器端返回错误: ${headerMessage.message}`
+            `[Adapter] 模型 ${modelName} 不支持 reasoning_effort=${effort} 对应的思考预算 ${budget}，已调整为 ${clamped}。`
           );
-          await this._handleRequestFailureAndSwitch(headerMessage, null);
+          budget = clamped;
         }
-        return this._sendErrorResponse(
-          res,
-          headerMessage.status || 500,
-          headerMessage.message
-        );
       }
-
-      // 2. 准备一个缓冲区，并确保循环等待直到收到结束信号
-      let fullBody = "";
-      while (true) {
-        const message = await messageQueue.dequeue(300000);
-        if (message.type === "STREAM_END") {
-          this.logger.info("[Request] 收到结束信号，数据接收完毕。");
-          break;
+      thinkingConfig.thinkingBudget = budget;
+      thinkingConfig.includeThoughts = effort !== "none";
+    }
+    if (vendorConfig) {
+      let budget = vendorConfig.thinking_budget ?? vendorConfig.thinkingBudget;
+      const includeThoughts =
+        vendorConfig.include_thoughts ?? vendorConfig.includeThoughts;
+      if (budget !== undefined) {
+        if (!Number.isInteger(budget) || budget < -1) {
+          throw new Error("thinking_budget must be an integer >= -1");
         }
-        if (message.event_type === "chunk" && message.data) {
-          fullBody += message.data;
+        const range = this._getThinkingBudgetRange(modelName);
+        if (budget === 0 && range && !range.canDisable) {
+          if (strict) {
+            throw new Error(
+              `Model ${modelName} cannot disable thinking; thinking_budget must be -1 or between ${range.min} and ${range.max}`
+            );
+          }
+          this.logger.info(
+            `[Adapter] 模型 ${modelName} 不能关闭思考，thinking_budget 已从 0 调整为 ${range.min}。`
+          );
+          budget = range.min;
         }
+        thinkingConfig.thinkingBudget = budget;
+      }
+      if (includeThoughts !== undefined) {
+        thinkingConfig.includeThoughts = includeThoughts === true;
       }
+    }
+    return Object.keys(thinkingConfig).length > 0 ? thinkingConfig : null;
+  }
 
-      // 3. 重置失败计数器（如果需要）
-      if (proxyRequest.is_generative && this.failureCount > 0) {
-        this.logger.info(
-          `✅ [Auth] 非流式生成请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+  _translateGoogleUsage(usageMetadata) {
+    const usage = usageMetadata || {};
+    const reasoningTokens = usage.thoughtsTokenCount || 0;
+    const promptTokens = usage.promptTokenCount || 0;
+    // OpenAI 的 completion_tokens 包含推理 token
+    const completionTokens =
+      (usage.candidatesTokenCount || 0) + reasoningTokens;
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: usage.totalTokenCount || promptTokens + completionTokens,
+      prompt_tokens_details: {
+        cached_tokens: usage.cachedContentTokenCount || 0,
+      },
+      completion_tokens_details: { reasoning_tokens: reasoningTokens },
+    };
+  }
+
+  _translateOpenAIToolChoice(toolChoice) {
+    if (toolChoice === "none") return { mode: "NONE" };
+    if (toolChoice === "auto") return { mode: "AUTO" };
+    if (toolChoice === "required") return { mode: "ANY" };
+    if (toolChoice && toolChoice.type === "function" && toolChoice.function) {
+      return { mode: "ANY", allowedFunctionNames: [toolChoice.function.name] };
+    }
+    return null;
+  }
+
+  // 图片/音频/文件内容片段 → inlineData 或 fileData；远程 URL 需先经 _prepareOpenAIMediaParts 处理
+  _translateOpenAIMediaPart(part) {
+    if (part.type === "image_url" && part.image_url) {
+      const url = part.image_url.url || "";
+      const dataUrl = this._parseDataUrl(url);
+      if (dataUrl) return { inlineData: dataUrl };
+      if (this._isGeminiFileUri(url)) return { fileData: { fileUri: url } };
+      throw new Error(`Unsupported image_url: ${url.substring(0, 100)}`);
+    }
+    if (part.type === "input_audio" && part.input_audio) {
+      const format = String(part.input_audio.format || "").toLowerCase();
+      const audioMimeTypes = {
+        wav: "audio/wav",
+        mp3: "audio/mp3",
+        aiff: "audio/aiff",
+        aac: "audio/aac",
+        ogg: "audio/ogg",
+        flac: "audio/flac",
+      };
+      if (!audioMimeTypes[format]) {
+        throw new Error(
+          `Unsupported input_audio format: ${format || "(missing)"}`
         );
-        this.failureCount = 0;
       }
+      return {
+        inlineData: {
+          mimeType: audioMimeTypes[format],
+          data: part.input_audio.data,
+        },
+      };
+    }
+    if (part.type === "file" && part.file) {
+      const { file_data, file_id, filename } = part.file;
+      if (file_data) {
+        const dataUrl = this._parseDataUrl(file_data);
+        if (dataUrl) return { inlineData: dataUrl };
+        return {
+          inlineData: {
+            mimeType: this._guessMimeType(filename) || "application/pdf",
+            data: file_data,
+          },
+        };
+      }
+      if (file_id) {
+        // 兼容 "files/xxx" 形式的 Files API 名称和完整的 file URI
+        const fileUri = /^https?:\/\//.test(file_id)
+          ? file_id
+          : `https://generativelanguage.googleapis.com/v1beta/${
+              file_id.startsWith("files/") ? file_id : `files/${file_id}`
+            }`;
+        const mimeType = part.file.mime_type || this._guessMimeType(filename);
+        return {
+          fileData: { fileUri: fileUri, ...(mimeType && { mimeType }) },
+        };
+      }
+      throw new Error("file parts require file_data or file_id");
+    }
+    throw new Error(`Unsupported content part type: ${part.type}`);
+  }
 
-      // [核心修正] 对Google原生格式的响应进行智能图片处理
-      try {
-        let parsedBody = JSON.parse(fullBody);
-        let needsReserialization = false;
-
-        const candidate = parsedBody.candidates?.[0];
-        if (candidate?.content?.parts) {
-          const imagePartIndex = candidate.content.parts.findIndex(
-            (p) => p.inlineData
-          );
+  _parseDataUrl(url) {
+    const match = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s.exec(url || "");
+    return match ? { mimeType: match[1], data: match[2] } : null;
+  }
 
-          if (imagePartIndex > -1) {
-            this.logger.info(
-              "[Proxy] 检测到Google格式响应中的图片数据，正在转换为Markdown..."
-            );
-            const imagePart = candidate.content.parts[imagePartIndex];
-            const image = imagePart.inlineData;
+  _isGeminiFileUri(url) {
+    return /^https:\/\/generativelanguage\.googleapis\.com\/.*files\//.test(
+      url
+    );
+  }
 
-            // 创建一个新的 text part 来替换原来的 inlineData part
-            const markdownTextPart = {
-              text: `![Generated Image](data:${image.mimeType};base64,${image.data})`,
-            };
+  _guessMimeType(filename) {
+    const extension = String(filename || "")
+      .split(".")
+      .pop()
+      .toLowerCase();
+    return {
+      pdf: "application/pdf",
+      txt: "text/plain",
+      md: "text/md",
+      csv: "text/csv",
+      html: "text/html",
+      xml: "text/xml",
+      rtf: "text/rtf",
+      js: "application/x-javascript",
+      py: "text/x-python",
+      png: "image/png",
+      jpg: "image/jpeg",
+      jpeg: "image/jpeg",
+      webp: "image/webp",
+      gif: "image/gif",
+      heic: "image/heic",
+      wav: "audio/wav",
+      mp3: "audio/mp3",
+      ogg: "audio/ogg",
+      flac: "audio/flac",
+      aac: "audio/aac",
+      mp4: "video/mp4",
+      mov: "video/mov",
+      webm: "video/webm",
+    }[extension];
+  }
 
-            // 替换掉原来的部分
-            candidate.content.parts[imagePartIndex] = markdownTextPart;
-            needsReserialization = true;
+  // 翻译前的异步预处理（原地修改 messages）：
+  // 1. 远程图片 URL 按 mediaFetchMode 由服务器或浏览器下载为 data URL；
+  // 2. 内联数据总量超过 inlineMediaLimitMB 时，从最大的开始上传到 Files API 改为 fileData 引用。
+  //    原生 OpenAI 端点不认识改写后的 file 片段，此时传 offloadToFilesApi: false 跳过这一步。
+  async _prepareOpenAIMediaParts(messages, options = {}) {
+    const maxBytes = this.config.maxMediaSizeMB * 1024 * 1024;
+    const inlineLimit = this.config.inlineMediaLimitMB * 1024 * 1024;
+    const mediaError = (status, message) =>
+      Object.assign(new Error(message), { status });
+
+    const inlineParts = [];
+    for (const message of messages || []) {
+      if (!Array.isArray(message.content)) continue;
+      for (const part of message.content) {
+        if (
+          part.type === "image_url" &&
+          /^https?:\/\//.test(part.image_url?.url || "") &&
+          !this._isGeminiFileUri(part.image_url.url)
+        ) {
+          const media = await this._fetchRemoteMedia(part.image_url.url);
+          if (!media.mimeType.startsWith("image/")) {
+            throw mediaError(
+              400,
+              `image_url ${part.image_url.url} returned non-image content type ${media.mimeType}`
+            );
           }
+          part.image_url.url = `data:${media.mimeType};base64,${media.data}`;
         }
 
-        if (needsReserialization) {
-          fullBody = JSON.stringify(parsedBody); // 如果处理了图片，重新序列化
+        let inlineData = null;
+        if (part.type === "image_url" || part.type === "input_audio") {
+          inlineData = this._translateOpenAIMediaPart(part).inlineData;
+        } else if (part.type === "file" && part.file?.file_data) {
+          inlineData = this._translateOpenAIMediaPart(part).inlineData;
         }
-      } catch (e) {
-        this.logger.warn(
-          `[Proxy] 响应体不是有效的JSON，或在处理图片时出错: ${e.message}`
-        );
-        // 如果出错，则什么都不做，直接发送原始的 fullBody
+        if (!inlineData) continue;
+        const size = Math.floor((inlineData.data.length * 3) / 4);
+        if (size > maxBytes) {
+          throw mediaError(
+            413,
+            `Media part of ${(size / 1048576).toFixed(1)} MB exceeds the ${
+              this.config.maxMediaSizeMB
+            } MB limit`
+          );
+        }
+        inlineParts.push({ part, inlineData, size });
       }
+    }
 
-      try {
-        const fullResponse = JSON.parse(fullBody);
-        const finishReason =
-          fullResponse.candidates?.[0]?.finishReason || "UNKNOWN";
-        this.logger.info(
-          `✅ [Request] 响应结束，原因: ${finishReason}，请求ID: ${proxyRequest.request_id}`
-        );
-      } catch (e) {}
+    if (options.offloadToFilesApi === false) return;
+    let totalSize = inlineParts.reduce((sum, item) => sum + item.size, 0);
+    inlineParts.sort((a, b) => b.size - a.size);
+    for (const item of inlineParts) {
+      if (totalSize <= inlineLimit) break;
+      const file = await this._uploadToFilesApi(
+        item.inlineData.mimeType,
+        item.inlineData.data,
+        item.part.file?.filename
+      );
+      // 改写成 file_id 引用，翻译时生成 fileData
+      for (const key of Object.keys(item.part)) delete item.part[key];
+      Object.assign(item.part, {
+        type: "file",
+        file: { file_id: file.uri, mime_type: file.mimeType },
+      });
+      totalSize -= item.size;
+    }
+  }
 
-      // 4. 设置正确的JSON响应头，并一次性发送处理过的全部数据
-      res
-        .status(headerMessage.status || 200)
-        .type("application/json")
-        .send(fullBody || "{}");
+  async _fetchRemoteMedia(url) {
+    const maxBytes = this.config.maxMediaSizeMB * 1024 * 1024;
+    this.logger.info(
+      `[Adapter] 正在通过${
+        this.config.mediaFetchMode === "browser" ? "浏览器" : "服务器"
+      }下载远程媒体: ${url}`
+    );
+    try {
+      const parsedUrl = await this._assertPublicUrl(url);
+      if (this.config.mediaFetchMode === "browser") {
+        const requestId = this._generateRequestId();
+        const messageQueue =
+          this.connectionRegistry.createMessageQueue(requestId);
+        try {
+          this._forwardRequest({
+            event_type: "fetch_media",
+            request_id: requestId,
+            url: url,
+            max_bytes: maxBytes,
+          });
+          const headerMessage = await messageQueue.dequeue(60000);
+          if (headerMessage.event_type === "error") {
+            throw new Error(headerMessage.message);
+          }
+          let fullBody = "";
+          while (true) {
+            const message = await messageQueue.dequeue(60000);
+            if (message.type === "STREAM_END") break;
+            if (message.event_type === "chunk" && message.data) {
+              fullBody += message.data;
+            }
+          }
+          const media = JSON.parse(fullBody);
+          return { mimeType: media.mime_type, data: media.data };
+        } finally {
+          this.connectionRegistry.removeMessageQueue(requestId);
+        }
+      }
 
-      this.logger.info(`[Request] 已向客户端发送完整的非流式响应。`);
+      const { buffer, contentType, finalUrl } = await this._downloadPublicUrl(
+        parsedUrl,
+        maxBytes
+      );
+      const mimeType = (
+        contentType ||
+        this._guessMimeType(finalUrl.pathname) ||
+        "application/octet-stream"
+      )
+        .split(";")[0]
+        .trim();
+      return { mimeType: mimeType, data: buffer.toString("base64") };
     } catch (error) {
-      this._handleRequestError(error, res);
+      throw Object.assign(
+        new Error(`Failed to fetch media from ${url}: ${error.message}`),
+        { status: 400 }
+      );
     }
   }
 
-  _getKeepAliveChunk(req) {
-    if (req.path.includes("chat/completions")) {
-      const payload = {
-        id: `chatcmpl-${this._generateRequestId()}`,
-        object: "chat.completion.chunk",
-        created: Math.floor(Date.now() / 1000),
-        model: "gpt-4",
-        choices: [{ index: 0, delta: {}, finish_reason: null }],
-      };
-      return `data: ${JSON.stringify(payload)}\n\n`;
+  _isPrivateAddress(address) {
+    // IPv4 映射的 IPv6 地址（::ffff:127.0.0.1）按其中的 IPv4 地址判断
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    const target = mapped ? mapped[1] : address;
+    return PRIVATE_ADDRESS_RANGES.check(
+      target,
+      net.isIPv4(target) ? "ipv4" : "ipv6"
+    );
+  }
+
+  // 远程媒体地址只允许 http(s)，且主机不能解析到内网、回环或链路本地地址（防 SSRF）
+  async _assertPublicUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      throw new Error("invalid URL");
     }
-    if (
-      req.path.includes("generateContent") ||
-      req.path.includes("streamGenerateContent")
-    ) {
-      const payload = {
-        candidates: [
-          {
-            content: { parts: [{ text: "" }], role: "model" },
-            finishReason: null,
-            index: 0,
-            safetyRatings: [],
-          },
-        ],
-      };
-      return `data: ${JSON.stringify(payload)}\n\n`;
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      throw new Error(`unsupported URL scheme ${parsed.protocol}`);
     }
-    return "data: {}\n\n";
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true });
+    const blocked = addresses.find((a) => this._isPrivateAddress(a.address));
+    if (blocked) {
+      throw new Error(
+        `${hostname} resolves to a non-public address (${blocked.address})`
+      );
+    }
+    return parsed;
   }
 
-  _setResponseHeaders(res, headerMessage) {
-    res.status(headerMessage.status || 200);
-    const headers = headerMessage.headers || {};
-    Object.entries(headers).forEach(([name, value]) => {
-      if (name.toLowerCase() !== "content-length") res.set(name, value);
+  // 服务器模式下载：连接时再次校验解析结果（防 DNS 重绑定），重定向逐跳重新校验，
+  // 边读边累计字节数，超过上限立即中断，不依赖 Content-Length
+  _downloadPublicUrl(parsedUrl, maxBytes, redirectsLeft = 3) {
+    const limitError = () =>
+      new Error(`exceeds the ${maxBytes / 1048576} MB limit`);
+    const lookup = (hostname, options, callback) => {
+      dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find((a) =>
+          this._isPrivateAddress(a.address)
+        );
+        if (blocked) {
+          return callback(
+            new Error(
+              `${hostname} resolves to a non-public address (${blocked.address})`
+            )
+          );
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+      });
+    };
+    const client = parsedUrl.protocol === "https:" ? https : http;
+    return new Promise((resolve, reject) => {
+      const request = client.get(
+        parsedUrl,
+        { lookup: lookup, timeout: 60000 },
+        (response) => {
+          const { statusCode, headers } = response;
+          if (statusCode >= 300 && statusCode < 400 && headers.location) {
+            response.resume();
+            if (redirectsLeft <= 0) {
+              reject(new Error("too many redirects"));
+              return;
+            }
+            this._assertPublicUrl(new URL(headers.location, parsedUrl).href)
+              .then((next) =>
+                this._downloadPublicUrl(next, maxBytes, redirectsLeft - 1)
+              )
+              .then(resolve, reject);
+            return;
+          }
+          if (statusCode < 200 || statusCode >= 300) {
+            response.resume();
+            reject(new Error(`HTTP ${statusCode} ${response.statusMessage}`));
+            return;
+          }
+          if (Number(headers["content-length"]) > maxBytes) {
+            response.destroy();
+            reject(limitError());
+            return;
+          }
+          const chunks = [];
+          let received = 0;
+          response.on("data", (chunk) => {
+            received += chunk.length;
+            if (received > maxBytes) {
+              response.destroy();
+              reject(limitError());
+              return;
+            }
+            chunks.push(chunk);
+          });
+          response.on("end", () =>
+            resolve({
+              buffer: Buffer.concat(chunks),
+              contentType: headers["content-type"],
+              finalUrl: parsedUrl,
+            })
+          );
+          response.on("error", reject);
+        }
+      );
+      request.on("timeout", () =>
+        request.destroy(new Error("timed out after 60 seconds"))
+      );
+      request.on("error", reject);
     });
   }
-  _handleRequestError(error, res) {
-    if (res.headersSent) {
-      this.logger.error(`[Request] 请求处理错误 (头已发送): ${error.message}`);
-      if (this.serverSystem.streamingMode === "fake")
-        this._sendErrorChunkToClient(res, `处理失败: ${error.message}`);
-      if (!res.writableEnded) res.end();
-    } else {
-      this.logger.error(`[Request] 请求处理错误: ${error.message}`);
-      const status = error.message.includes("超时") ? 504 : 500;
-      this._sendErrorResponse(res, status, `代理错误: ${error.message}`);
-    }
-  }
 
-  _sendErrorResponse(res, status, message) {
-    if (!res.headersSent) {
-      // 1. 创建一个符合API规范的JSON错误对象
-      const errorPayload = {
-        error: {
-          code: status || 500,
-          message: message,
-          status: "SERVICE_UNAVAILABLE", // 这是一个示例状态名
-        },
-      };
-      // 2. 设置响应类型为 application/json 并发送
-      res
-        .status(status || 500)
-        .type("application/json")
-        .send(JSON.stringify(errorPayload));
+  // 以 multipart 方式经浏览器上传到 Gemini Files API，返回 file 对象（含 uri）
+  async _uploadToFilesApi(mimeType, base64Data, displayName) {
+    const boundary = `----proxy${Date.now().toString(16)}`;
+    const metadata = JSON.stringify({
+      file: { display_name: displayName || `upload-${Date.now()}` },
+    });
+    const body = Buffer.concat([
+      Buffer.from(
+        `--${boundary}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n${metadata}\r\n--${boundary}\r\nContent-Type: ${mimeType}\r\n\r\n`
+      ),
+      Buffer.from(base64Data, "base64"),
+      Buffer.from(`\r\n--${boundary}--\r\n`),
+    ]);
+    this.logger.info(
+      `[Adapter] 媒体数据过大，正在上传到 Files API (${(
+        body.length / 1048576
+      ).toFixed(1)} MB, ${mimeType})...`
+    );
+    try {
+      let { file } = await this._fetchJsonFromBrowser(
+        "/upload/v1beta/files",
+        { uploadType: "multipart" },
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": `multipart/related; boundary=${boundary}`,
+            "X-Goog-Upload-Protocol": "multipart",
+          },
+          bodyBuffer: body,
+        }
+      );
+      // 音视频等文件需要服务端处理完成后才能引用
+      for (let i = 0; file.state === "PROCESSING" && i < 30; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 2000));
+        file = await this._fetchJsonFromBrowser(`/v1beta/${file.name}`);
+      }
+      if (file.state === "FAILED") {
+        throw new Error(`file ${file.name} failed processing`);
+      }
+      this.logger.info(`[Adapter] Files API 上传完成: ${file.uri}`);
+      return file;
+    } catch (error) {
+      throw Object.assign(
+        new Error(`Files API upload failed: ${error.message}`),
+        { status: 502 }
+      );
     }
   }
 
-  _translateOpenAIToGoogle(openaiBody, modelName = "") {
-    this.logger.info("[Adapter] 开始将OpenAI请求格式翻译为Google格式...");
-
-    let systemInstruction = null;
-    const googleContents = [];
-
-    // 1. 分离出 system 指令
-    const systemMessages = openaiBody.messages.filter(
-      (msg) => msg.role === "system"
-    );
-    if (systemMessages.length > 0) {
-      // 将所有 system message 的内容合并
-      const systemContent = systemMessages.map((msg) => msg.content).join("\n");
-      systemInstruction = {
-        // Google Gemini 1.5 Pro 开始正式支持 system instruction
-        role: "system",
-        parts: [{ text: systemContent }],
-      };
+  _parseToolResultContent(content) {
+    let text = content;
+    if (Array.isArray(content)) {
+      text = content
+        .filter((part) => part.type === "text")
+        .map((part) => part.text)
+        .join("");
+    }
+    if (typeof text !== "string") return { content: text ?? null };
+    // functionResponse.response 必须是对象，非对象的结果统一包一层
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+        return parsed;
+      }
+      return { content: parsed };
+    } catch (e) {
+      return { content: text };
+    }
+  }
+
+  // Gemini 会拒绝 properties 为空的 OBJECT 参数，无参数的工具省略 parameters
+  _buildFunctionDeclaration(name, description, schema) {
+    const declaration = { name: name, description: description };
+    if (schema) {
+      const parameters = this._convertJsonSchemaForGemini(schema);
+      const isEmptyObject =
+        parameters.type === "OBJECT" &&
+        Object.keys(parameters.properties || {}).length === 0;
+      if (!isEmptyObject) declaration.parameters = parameters;
     }
+    return declaration;
+  }
 
-    // 2. 转换 user 和 assistant 消息
-    const conversationMessages = openaiBody.messages.filter(
-      (msg) => msg.role !== "system"
-    );
-    for (const message of conversationMessages) {
-      const googleParts = [];
+  _buildOpenAIToolCall(functionCall) {
+    return {
+      id: `call_${crypto.randomBytes(12).toString("hex")}`,
+      type: "function",
+      function: {
+        name: functionCall.name,
+        arguments: JSON.stringify(functionCall.args || {}),
+      },
+    };
+  }
 
-      // [核心改进] 判断 content 是字符串还是数组
-      if (typeof message.content === "string") {
-        // a. 如果是纯文本
-        googleParts.push({ text: message.content });
-      } else if (Array.isArray(message.content)) {
-        // b. 如果是图文混合内容
-        for (const part of message.content) {
-          if (part.type === "text") {
-            googleParts.push({ text: part.text });
-          } else if (part.type === "image_url" && part.image_url) {
-            // 从 data URL 中提取 mimetype 和 base64 数据
-            const dataUrl = part.image_url.url;
-            const match = dataUrl.match(/^data:(image\/.*?);base64,(.*)$/);
-            if (match) {
-              googleParts.push({
-                inlineData: {
-                  mimeType: match[1],
-                  data: match[2],
-                },
-              });
-            }
-          }
-        }
+  _translateGoogleCandidateToOpenAIChoice(candidate, choiceIndex) {
+    let responseContent = "";
+    let reasoningContent = "";
+    let toolCalls = [];
+    if (
+      candidate &&
+      candidate.content &&
+      Array.isArray(candidate.content.parts)
+    ) {
+      const imagePart = candidate.content.parts.find((p) => p.inlineData);
+      if (imagePart) {
+        const image = imagePart.inlineData;
+        responseContent = `![Generated Image](data:${image.mimeType};base64,${image.data})`;
+        this.logger.info("[Adapter] 从 parts.inlineData 中成功解析到图片。");
+      } else {
+        responseContent =
+          candidate.content.parts
+            .filter((p) => p.text !== undefined && !p.thought)
+            .map((p) => p.text)
+            .join("\n") || "";
       }
+      reasoningContent = candidate.content.parts
+        .filter((p) => p.thought && p.text)
+        .map((p) => p.text)
+        .join("");
+      toolCalls = candidate.content.parts
+        .filter((p) => p.functionCall)
+        .map((p) => this._buildOpenAIToolCall(p.functionCall));
+    }
 
-      googleContents.push({
-        role: message.role === "assistant" ? "model" : "user",
-        parts: googleParts,
-      });
+    const assistantMessage = {
+      role: "assistant",
+      content: responseContent,
+    };
+    if (reasoningContent) {
+      assistantMessage.reasoning_content = reasoningContent;
+    }
+    if (toolCalls.length > 0) {
+      assistantMessage.content = responseContent || null;
+      assistantMessage.tool_calls = toolCalls;
     }
 
-    // 3. 构建最终的Google请求体
-    const googleRequest = {
-      contents: googleContents,
-      ...(systemInstruction && {
-        systemInstruction: { parts: systemInstruction.parts },
-      }),
+    // 仅在正常结束时报告 tool_calls，被截断或拦截时保留 length/content_filter
+    const finishReason = this._translateGoogleFinishReason(
+      candidate?.finishReason
+    );
+    return {
+      index: choiceIndex,
+      message: assistantMessage,
+      logprobs: this._translateGoogleLogprobs(candidate?.logprobsResult),
+      finish_reason:
+        toolCalls.length > 0 && finishReason === "stop"
+          ? "tool_calls"
+          : finishReason,
     };
+  }
 
-    // 4. 转换生成参数
-    const generationConfig = {
-      temperature: openaiBody.temperature,
-      topP: openaiBody.top_p,
-      topK: openaiBody.top_k,
-      maxOutputTokens: openaiBody.max_tokens,
-      stopSequences: openaiBody.stop,
+  // Gemini 的 logprobsResult → OpenAI 的 choice.logprobs
+  _translateGoogleLogprobs(logprobsResult) {
+    if (!logprobsResult?.chosenCandidates) return null;
+    const toEntry = (c) => ({
+      token: c.token,
+      logprob: c.logProbability,
+      bytes: Array.from(Buffer.from(c.token || "", "utf-8")),
+    });
+    return {
+      content: logprobsResult.chosenCandidates.map((chosen, i) => ({
+        ...toEntry(chosen),
+        top_logprobs: (logprobsResult.topCandidates?.[i]?.candidates || []).map(
+          toEntry
+        ),
+      })),
     };
-    googleRequest.generationConfig = generationConfig;
+  }
 
-    // 5. 安全设置
-    googleRequest.safetySettings = [
-      { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-      { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-      { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
-      { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
-    ];
+  _translateGoogleFinishReason(finishReason) {
+    switch (finishReason) {
+      case "MAX_TOKENS":
+        return "length";
+      case "SAFETY":
+      case "RECITATION":
+      case "BLOCKLIST":
+      case "PROHIBITED_CONTENT":
+      case "SPII":
+      case "IMAGE_SAFETY":
+        return "content_filter";
+      default:
+        // STOP、OTHER 以及缺失的结束原因统一视为正常结束
+        return "stop";
+    }
+  }
 
-    this.logger.info("[Adapter] 翻译完成。");
-    return googleRequest;
+  // 同一次补全的所有流式块共享 id 和 created，符合 OpenAI SDK 的累加器要求
+  _createOpenAIStreamState(requestId, includeUsage = false) {
+    return {
+      id: `chatcmpl-${requestId}`,
+      created: Math.floor(Date.now() / 1000),
+      includeUsage: includeUsage,
+      usageMetadata: null,
+      toolCallCounts: {},
+      startedChoices: new Set(),
+    };
+  }
+
+  _buildOpenAIStreamChunk(streamState, modelName, choices, extraFields = {}) {
+    const chunk = {
+      id: streamState.id,
+      object: "chat.completion.chunk",
+      created: streamState.created,
+      model: modelName,
+      choices: choices,
+      ...(streamState.includeUsage && { usage: null }),
+      ...extraFields,
+    };
+    return `data: ${JSON.stringify(chunk)}\n\n`;
+  }
+
+  // 每个 choice 的第一个块只携带 role，之后的块不再重复
+  _buildOpenAIRoleChunk(streamState, modelName, choiceIndex) {
+    if (streamState.startedChoices.has(choiceIndex)) return "";
+    streamState.startedChoices.add(choiceIndex);
+    return this._buildOpenAIStreamChunk(streamState, modelName, [
+      {
+        index: choiceIndex,
+        delta: { role: "assistant", content: "" },
+        finish_reason: null,
+      },
+    ]);
   }
 
-  _translateGoogleToOpenAIStream(googleChunk, modelName = "gemini-pro") {
+  _translateGoogleToOpenAIStream(
+    googleChunk,
+    modelName = "gemini-pro",
+    streamState = this._createOpenAIStreamState(this._generateRequestId())
+  ) {
     if (!googleChunk || googleChunk.trim() === "") {
       return null;
     }
@@ -1727,8 +5623,13 @@ class RequestHandler {
       return null;
     }
 
-    const candidate = googleResponse.candidates?.[0];
-    if (!candidate) {
+    // usageMetadata 是累计值，只需保留最后一次出现的
+    if (googleResponse.usageMetadata) {
+      streamState.usageMetadata = googleResponse.usageMetadata;
+    }
+
+    const candidates = googleResponse.candidates || [];
+    if (candidates.length === 0) {
       if (googleResponse.promptFeedback) {
         this.logger.warn(
           `[Adapter] Google返回了promptFeedback，可能已被拦截: ${JSON.stringify(
@@ -1736,19 +5637,40 @@ class RequestHandler {
           )}`
         );
         const errorText = `[ProxySystem Error] Request blocked due to safety settings. Finish Reason: ${googleResponse.promptFeedback.blockReason}`;
-        return `data: ${JSON.stringify({
-          id: `chatcmpl-${this._generateRequestId()}`,
-          object: "chat.completion.chunk",
-          created: Math.floor(Date.now() / 1000),
-          model: modelName,
-          choices: [
-            { index: 0, delta: { content: errorText }, finish_reason: "stop" },
-          ],
-        })}\n\n`;
+        return (
+          this._buildOpenAIRoleChunk(streamState, modelName, 0) +
+          this._buildOpenAIStreamChunk(streamState, modelName, [
+            {
+              index: 0,
+              delta: { content: errorText },
+              finish_reason: "content_filter",
+            },
+          ])
+        );
       }
       return null;
     }
 
+    // n > 1 时每个候选各自成为一个 choice，用 index 区分
+    const output = candidates
+      .map((candidate, position) =>
+        this._translateGoogleCandidateToOpenAIStream(
+          candidate,
+          candidate.index ?? position,
+          modelName,
+          streamState
+        )
+      )
+      .join("");
+    return output || null;
+  }
+
+  _translateGoogleCandidateToOpenAIStream(
+    candidate,
+    choiceIndex,
+    modelName,
+    streamState
+  ) {
     // [核心修正] 引入与非流式一致的图片和文本解析逻辑
     let content = "";
     if (candidate.content && Array.isArray(candidate.content.parts)) {
@@ -1759,28 +5681,83 @@ class RequestHandler {
         content = `![Generated Image](data:${image.mimeType};base64,${image.data})`;
         this.logger.info("[Adapter] 从流式响应块中成功解析到图片。");
       } else {
-        // 没有图片，则按原样拼接文本
-        content = candidate.content.parts.map((p) => p.text).join("") || "";
+        // 没有图片，则按原样拼接文本，思考内容单独放入 reasoning_content
+        content =
+          candidate.content.parts
+            .filter((p) => !p.thought)
+            .map((p) => p.text)
+            .join("") || "";
       }
     }
+    const reasoningContent = (candidate.content?.parts || [])
+      .filter((p) => p.thought && p.text)
+      .map((p) => p.text)
+      .join("");
+    const textDelta = { content: content };
+    if (reasoningContent) textDelta.reasoning_content = reasoningContent;
+    const functionCalls = (candidate.content?.parts || [])
+      .filter((p) => p.functionCall)
+      .map((p) => p.functionCall);
+
+    let finishReason = candidate.finishReason
+      ? this._translateGoogleFinishReason(candidate.finishReason)
+      : null;
+    const toolCallCount = streamState.toolCallCounts[choiceIndex] || 0;
+    if (
+      finishReason === "stop" &&
+      (functionCalls.length > 0 || toolCallCount > 0)
+    ) {
+      finishReason = "tool_calls";
+    }
 
-    const finishReason = candidate.finishReason;
-
-    const openaiResponse = {
-      id: `chatcmpl-${this._generateRequestId()}`,
-      object: "chat.completion.chunk",
-      created: Math.floor(Date.now() / 1000),
-      model: modelName,
-      choices: [
+    const logprobs = this._translateGoogleLogprobs(candidate.logprobsResult);
+    const buildChunk = (delta, chunkFinishReason = null) =>
+      this._buildOpenAIStreamChunk(streamState, modelName, [
         {
-          index: 0,
-          delta: { content: content },
-          finish_reason: finishReason || null,
+          index: choiceIndex,
+          delta: delta,
+          ...(logprobs && delta.content !== undefined && { logprobs }),
+          finish_reason: chunkFinishReason,
         },
-      ],
-    };
+      ]);
+
+    let output = this._buildOpenAIRoleChunk(
+      streamState,
+      modelName,
+      choiceIndex
+    );
+    if (functionCalls.length === 0) {
+      return output + buildChunk(textDelta, finishReason);
+    }
+
+    if (content || reasoningContent) output += buildChunk(textDelta);
+    // 先发送函数名，再单独发送参数增量，与 OpenAI 的流式 tool_calls 形态保持一致
+    for (const functionCall of functionCalls) {
+      const toolCall = this._buildOpenAIToolCall(functionCall);
+      const index = streamState.toolCallCounts[choiceIndex] || 0;
+      streamState.toolCallCounts[choiceIndex] = index + 1;
+      output += buildChunk({
+        tool_calls: [
+          {
+            index: index,
+            id: toolCall.id,
+            type: "function",
+            function: { name: toolCall.function.name, arguments: "" },
+          },
+        ],
+      });
+      output += buildChunk({
+        tool_calls: [
+          {
+            index: index,
+            function: { arguments: toolCall.function.arguments },
+          },
+        ],
+      });
+    }
+    if (finishReason) output += buildChunk({}, finishReason);
 
-    return `data: ${JSON.stringify(openaiResponse)}\n\n`;
+    return output;
   }
 }
 
@@ -1797,7 +5774,9 @@ class ProxyServerSystem extends EventEmitter {
       this.config,
       this.authSource
     );
-    this.connectionRegistry = new ConnectionRegistry(this.logger);
+    this.connectionRegistry = new ConnectionRegistry(this.logger, {
+      routingStrategy: this.config.connectionRoutingStrategy,
+    });
     this.requestHandler = new RequestHandler(
       this,
       this.connectionRegistry,
@@ -1826,6 +5805,48 @@ class ProxyServerSystem extends EventEmitter {
       browserExecutablePath: null,
       apiKeys: [],
       immediateSwitchStatusCodes: [429, 503],
+      // OpenAI 接口的适配方式: "translate" 本地翻译, "native" 转发到 Google 的 /v1beta/openai/
+      // native 模式无法下发安全设置及 topK 等无 OpenAI 对应字段的策略，配置了这类策略的模型请求会被拒绝
+      openaiAdapterMode: "translate",
+      openaiAdapterModels: {},
+      // 模型自动发现：定期通过浏览器调用 ListModels，允许/拒绝列表支持 * 通配符
+      modelDiscovery: true,
+      modelRefreshInterval: 3600,
+      modelAllowList: [],
+      modelDenyList: [],
+      // 未指定模型时使用的默认模型；别名把外部模型名映射到 Gemini 模型，
+      // 后备链在主模型 429/503/过载时按顺序换模型重试
+      defaultModel: "gemini-2.5-flash",
+      modelAliases: {},
+      modelFallbacks: {},
+      // 生成策略：safetySettings 与 generationConfig 默认值，allowOverride 控制请求能否覆盖
+      generationPolicy: {},
+      modelPolicies: {},
+      apiKeyPolicies: {},
+      // 多模态输入：远程图片由 server 或 browser 下载 (browser 模式不跟随重定向)；单个媒体上限与内联总量上限 (MB)
+      mediaFetchMode: "server",
+      maxMediaSizeMB: 100,
+      inlineMediaLimitMB: 15,
+      // /v1/images/edits 以 multipart 上传的单个图片文件上限 (MB)
+      maxImageUploadSizeMB: 50,
+      // 生成图片链接与可续传上传地址使用的对外地址 (如 https://proxy.example.com)；
+      // 留空则按请求推导，位于反向代理之后时需设置 trustProxy (同 Express 的 "trust proxy") 才会采信 x-forwarded-proto
+      publicBaseUrl: null,
+      trustProxy: false,
+      // 非 JSON 请求体（文件上传）上限，以及经 WebSocket 发给浏览器时的分块大小
+      maxUploadSizeMB: 100,
+      wsBodyChunkSizeKB: 1024,
+      // 浏览器 WebSocket 的共享密钥；留空则每次注入脚本时随机生成一次性令牌
+      wsToken: null,
+      // 设置 wsPath 后 WebSocket 挂载到 HTTP 端口的该路径下，不再单独监听 wsPort；
+      // wsEndpoint 为浏览器脚本实际连接的地址（可为 wss://），留空则按上述设置推导
+      wsPath: null,
+      wsEndpoint: null,
+      // 浏览器客户端心跳：每 heartbeatInterval 秒 ping 一次，连续 heartbeatMaxMissed 次无响应即重建浏览器；0 为禁用
+      heartbeatInterval: 15,
+      heartbeatMaxMissed: 3,
+      // 多个浏览器客户端同时在线时的请求分配策略: "least_inflight" 或 "round_robin"
+      connectionRoutingStrategy: "least_inflight",
       // [新增] 用于追踪API密钥来源
       apiKeySource: "未设置",
     };
@@ -1863,6 +5884,119 @@ class ProxyServerSystem extends EventEmitter {
     if (process.env.API_KEYS) {
       config.apiKeys = process.env.API_KEYS.split(",");
     }
+    if (process.env.OPENAI_ADAPTER_MODE)
+      config.openaiAdapterMode = process.env.OPENAI_ADAPTER_MODE;
+    if (process.env.NATIVE_OPENAI_MODELS) {
+      process.env.NATIVE_OPENAI_MODELS.split(",")
+        .map((m) => m.trim())
+        .filter((m) => m)
+        .forEach((m) => {
+          config.openaiAdapterModels = {
+            ...config.openaiAdapterModels,
+            [m]: "native",
+          };
+        });
+    }
+
+    if (process.env.DEFAULT_MODEL)
+      config.defaultModel = process.env.DEFAULT_MODEL;
+    if (process.env.WS_TOKEN) config.wsToken = process.env.WS_TOKEN;
+    if (process.env.WS_PORT)
+      config.wsPort = parseInt(process.env.WS_PORT, 10) || config.wsPort;
+    if (process.env.WS_PATH) config.wsPath = process.env.WS_PATH;
+    if (process.env.WS_ENDPOINT) config.wsEndpoint = process.env.WS_ENDPOINT;
+    if (config.wsPath && !config.wsPath.startsWith("/")) {
+      config.wsPath = `/${config.wsPath}`;
+    }
+    if (!config.wsEndpoint) {
+      config.wsEndpoint = config.wsPath
+        ? `ws://127.0.0.1:${config.httpPort}${config.wsPath}`
+        : `ws://127.0.0.1:${config.wsPort}`;
+    }
+    if (process.env.MAX_UPLOAD_SIZE_MB)
+      config.maxUploadSizeMB =
+        parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || config.maxUploadSizeMB;
+    if (process.env.WS_BODY_CHUNK_SIZE_KB)
+      config.wsBodyChunkSizeKB =
+        parseInt(process.env.WS_BODY_CHUNK_SIZE_KB, 10) ||
+        config.wsBodyChunkSizeKB;
+    if (process.env.MEDIA_FETCH_MODE)
+      config.mediaFetchMode = process.env.MEDIA_FETCH_MODE;
+    if (process.env.MAX_MEDIA_SIZE_MB)
+      config.maxMediaSizeMB =
+        parseInt(process.env.MAX_MEDIA_SIZE_MB, 10) || config.maxMediaSizeMB;
+    if (process.env.MAX_IMAGE_UPLOAD_SIZE_MB)
+      config.maxImageUploadSizeMB =
+        parseInt(process.env.MAX_IMAGE_UPLOAD_SIZE_MB, 10) ||
+        config.maxImageUploadSizeMB;
+    if (process.env.PUBLIC_BASE_URL)
+      config.publicBaseUrl = process.env.PUBLIC_BASE_URL;
+    if (process.env.TRUST_PROXY) {
+      const trustProxy = process.env.TRUST_PROXY;
+      config.trustProxy = ["true", "false"].includes(trustProxy)
+        ? trustProxy === "true"
+        : /^\d+$/.test(trustProxy)
+        ? parseInt(trustProxy, 10)
+        : trustProxy;
+    }
+    if (process.env.INLINE_MEDIA_LIMIT_MB)
+      config.inlineMediaLimitMB =
+        parseInt(process.env.INLINE_MEDIA_LIMIT_MB, 10) ||
+        config.inlineMediaLimitMB;
+    if (process.env.MODEL_DISCOVERY)
+      config.modelDiscovery = process.env.MODEL_DISCOVERY !== "false";
+    // 这里 0 是合法值（仅在连接时刷新），不能用 || 回退
+    if (process.env.MODEL_REFRESH_INTERVAL) {
+      const interval = parseInt(process.env.MODEL_REFRESH_INTERVAL, 10);
+      if (!isNaN(interval)) config.modelRefreshInterval = interval;
+    }
+    if (process.env.HEARTBEAT_INTERVAL) {
+      const interval = parseInt(process.env.HEARTBEAT_INTERVAL, 10);
+      if (!isNaN(interval)) config.heartbeatInterval = interval;
+    }
+    if (process.env.HEARTBEAT_MAX_MISSED)
+      config.heartbeatMaxMissed =
+        parseInt(process.env.HEARTBEAT_MAX_MISSED, 10) ||
+        config.heartbeatMaxMissed;
+    if (process.env.CONNECTION_ROUTING_STRATEGY)
+      config.connectionRoutingStrategy =
+        process.env.CONNECTION_ROUTING_STRATEGY;
+    if (
+      !["least_inflight", "round_robin"].includes(
+        config.connectionRoutingStrategy
+      )
+    ) {
+      this.logger.warn(
+        `[System] 未知的连接路由策略 "${config.connectionRoutingStrategy}"，已回退为 least_inflight。`
+      );
+      config.connectionRoutingStrategy = "least_inflight";
+    }
+    if (process.env.MODEL_ALLOW_LIST)
+      config.modelAllowList = process.env.MODEL_ALLOW_LIST.split(",");
+    if (process.env.MODEL_DENY_LIST)
+      config.modelDenyList = process.env.MODEL_DENY_LIST.split(",");
+    ["modelAllowList", "modelDenyList"].forEach((key) => {
+      config[key] = Array.isArray(config[key])
+        ? config[key].map((m) => String(m).trim()).filter((m) => m)
+        : [];
+    });
+
+    const adapterModes = ["translate", "native"];
+    if (!adapterModes.includes(config.openaiAdapterMode)) {
+      this.logger.warn(
+        `[System] 无效的 openaiAdapterMode "${config.openaiAdapterMode}"，已回退为 translate。`
+      );
+      config.openaiAdapterMode = "translate";
+    }
+    config.openaiAdapterModels = Object.fromEntries(
+      Object.entries(config.openaiAdapterModels || {}).filter(([m, mode]) => {
+        if (adapterModes.includes(mode)) return true;
+        this.logger.warn(
+          `[System] 模型 ${m} 的适配模式 "${mode}" 无效，已忽略。`
+        );
+        return false;
+      })
+    );
 
     let rawCodes = process.env.IMMEDIATE_SWITCH_STATUS_CODES;
     let codesSource = "环境变量";
@@ -1954,6 +6088,83 @@ class ProxyServerSystem extends EventEmitter {
     );
     this.logger.info(`  单次请求最大重试: ${this.config.maxRetries}次`);
     this.logger.info(`  重试间隔: ${this.config.retryDelay}ms`);
+    this.logger.info(
+      `  浏览器WebSocket: ${
+        this.config.wsPath
+          ? `HTTP端口路径 ${this.config.wsPath}`
+          : `独立端口 ${this.config.wsPort}`
+      }，脚本连接地址 ${this.config.wsEndpoint}`
+    );
+    this.logger.info(
+      `  多客户端路由策略: ${this.config.connectionRoutingStrategy}`
+    );
+    this.logger.info(
+      `  浏览器心跳检测: ${
+        this.config.heartbeatInterval > 0
+          ? `每 ${this.config.heartbeatInterval} 秒, 连续 ${this.config.heartbeatMaxMissed} 次无响应判定失联`
+          : "已禁用"
+      }`
+    );
+    this.logger.info(
+      `  浏览器WebSocket认证: ${
+        this.config.wsToken ? "固定共享密钥" : "每次注入随机生成令牌"
+      }`
+    );
+    this.logger.info(`  默认模型: ${this.config.defaultModel}`);
+    this.logger.info(
+      `  多模态: 远程媒体由${
+        this.config.mediaFetchMode === "browser" ? "浏览器" : "服务器"
+      }下载, 单个上限 ${this.config.maxMediaSizeMB}MB, 内联超过 ${
+        this.config.inlineMediaLimitMB
+      }MB 时改用 Files API`
+    );
+    this.logger.info(
+      `  生成策略: 全局${
+        Object.keys(this.config.generationPolicy || {}).length > 0
+          ? "已配置"
+          : "默认"
+      }, 按模型 ${
+        Object.keys(this.config.modelPolicies || {}).length
+      } 条, 按 API Key ${
+        Object.keys(this.config.apiKeyPolicies || {}).length
+      } 条`
+    );
+    if (Object.keys(this.config.modelAliases || {}).length > 0)
+      this.logger.info(
+        `  模型别名: ${Object.entries(this.config.modelAliases)
+          .map(([from, to]) => `${from} -> ${to}`)
+          .join(", ")}`
+      );
+    if (Object.keys(this.config.modelFallbacks || {}).length > 0)
+      this.logger.info(
+        `  模型后备链: ${Object.entries(this.config.modelFallbacks)
+          .map(([m, chain]) => `${m} -> ${[].concat(chain).join(" -> ")}`)
+          .join("; ")}`
+      );
+    this.logger.info(
+      `  模型自动发现: ${
+        this.config.modelDiscovery
+          ? `已启用 (每 ${this.config.modelRefreshInterval} 秒刷新)`
+          : "已禁用"
+      }`
+    );
+    if (this.config.modelAllowList.length > 0)
+      this.logger.info(
+        `  模型允许列表: ${this.config.modelAllowList.join(", ")}`
+      );
+    if (this.config.modelDenyList.length > 0)
+      this.logger.info(
+        `  模型拒绝列表: ${this.config.modelDenyList.join(", ")}`
+      );
+    this.logger.info(
+      `  OpenAI 适配模式: ${this.config.openaiAdapterMode}${
+        Object.keys(this.config.openaiAdapterModels).length > 0
+          ? ` (按模型覆盖: ${Object.entries(this.config.openaiAdapterModels)
+              .map(([m, mode]) => `${m}=${mode}`)
+              .join(", ")})`
+          : ""
+      }`
+    );
     this.logger.info(`  API 密钥来源: ${this.config.apiKeySource}`); // 在启动日志中也显示出来
     this.logger.info(
       "============================================================="
@@ -2019,6 +6230,8 @@ class ProxyServerSystem extends EventEmitter {
     // 只有在浏览器成功启动后，才启动网络服务
     await this._startHttpServer();
     await this._startWebSocketServer();
+    this._startHeartbeat();
+    this._startModelDiscovery();
     this.logger.info(`[System] 代理服务器系统启动完成。`);
     this.emit("started");
   }
@@ -2047,6 +6260,7 @@ class ProxyServerSystem extends EventEmitter {
       }
 
       if (clientKey && serverApiKeys.includes(clientKey)) {
+        req.clientApiKey = clientKey; // 供按 API Key 的生成策略使用
         this.logger.info(
           `[Auth] API Key验证通过 (来自: ${
             req.headers["x-forwarded-for"] || req.ip
@@ -2106,6 +6320,7 @@ class ProxyServerSystem extends EventEmitter {
 
   _createExpressApp() {
     const app = express();
+    if (this.config.trustProxy) app.set("trust proxy", this.config.trustProxy);
     app.use((req, res, next) => {
       if (
         req.path !== "/api/status" &&
@@ -2121,6 +6336,16 @@ class ProxyServerSystem extends EventEmitter {
     });
     app.use(express.json({ limit: "100mb" }));
     app.use(express.urlencoded({ extended: true }));
+    // Files API 的上传请求体保留原始字节透传；其他路由只接受 JSON，multipart/form-data 留给 multer
+    app.use(
+      express.raw({
+        type: (req) =>
+          (req.path.startsWith("/upload/") ||
+            /^\/v1[^/]*\/files(\/|$)/.test(req.path)) &&
+          !req.is("multipart/form-data"),
+        limit: `${this.config.maxUploadSizeMB}mb`,
+      })
+    );
 
     const sessionSecret =
       // Section 1 & 2 (核心中间件和登录路由) 保持不变...
@@ -2270,7 +6495,9 @@ class ProxyServerSystem extends EventEmitter {
 <span class="label">使用次数计数</span>: \${data.status.usageCount}
 <span class="label">连续失败计数</span>: \${data.status.failureCount}
 <span class="label">扫描到的总账号</span>: \${data.status.initialIndices}
-<span class="label">格式错误 (已忽略)</span>: \${data.status.invalidIndices}\`;
+<span class="label">格式错误 (已忽略)</span>: \${data.status.invalidIndices}
+--- 浏览器客户端 ---
+\${data.connections.length === 0 ? "无" : data.connections.map(c => \`#\${c.id} 脚本 \${c.scriptBuild || "未知"} (协议 v\${c.protocolVersion}) 账号 #\${c.accountIndex ?? "?"} 能力 [\${c.features.join(", ")}] \${c.healthy ? "" : "[无响应] "}进行中 \${c.inFlight} \${c.latencyMs !== null ? \`延迟 \${c.latencyMs}ms \` : ""}连接于 \${c.connectedAt}\`).join("\\n")}\`;
                 
                 const logContainer = document.getElementById('log-container');
                 const logTitle = document.querySelector('#log-section h2');
@@ -2355,6 +6582,7 @@ class ProxyServerSystem extends EventEmitter {
             invalidIndices.length
           })`,
         },
+        connections: this.connectionRegistry.getConnectionsInfo(),
         logs: logs.join("\n"),
         logCount: logs.length,
       };
@@ -2413,17 +6641,24 @@ class ProxyServerSystem extends EventEmitter {
         res.status(400).send('无效模式. 请用 "fake" 或 "real".');
       }
     });
+    // 生成图片的下载链接：id 为随机值，放在 API Key 校验之前，方便直接用作 <img src>
+    app.get("/v1/images/files/:id", (req, res) => {
+      const image = this.requestHandler.imageStore.get(req.params.id);
+      if (!image) {
+        return this.requestHandler._sendErrorResponse(
+          res,
+          404,
+          "Image not found or expired."
+        );
+      }
+      res.type(image.mimeType).send(image.buffer);
+    });
     app.use(this._createAuthMiddleware());
 
     app.get("/v1/models", (req, res) => {
-      const modelIds = this.config.modelList || ["gemini-2.5-pro"];
-
-      const models = modelIds.map((id) => ({
-        id: id,
-        object: "model",
-        created: Math.floor(Date.now() / 1000),
-        owned_by: "google",
-      }));
+      const models = this.requestHandler
+        .getAvailableModels()
+        .map((model) => this.requestHandler._buildOpenAIModelObject(model));
 
       res.status(200).json({
         object: "list",
@@ -2431,9 +6666,102 @@ class ProxyServerSystem extends EventEmitter {
       });
     });
 
+    app.get("/v1/models/:id", (req, res) => {
+      const modelId = req.params.id.replace(/^models\//, "");
+      const model = this.requestHandler
+        .getAvailableModels()
+        .find((m) => m.id === modelId);
+      if (!model) {
+        return this.requestHandler._sendErrorResponse(
+          res,
+          404,
+          `The model '${modelId}' does not exist`
+        );
+      }
+      res.status(200).json(this.requestHandler._buildOpenAIModelObject(model));
+    });
+
+    app.get("/api/tags", (req, res) => {
+      const modifiedAt = new Date().toISOString();
+      res.status(200).json({
+        models: this.requestHandler.getAvailableModels().map(({ id }) => ({
+          name: id,
+          model: id,
+          modified_at: modifiedAt,
+          size: 0,
+          digest: "",
+          details: {
+            format: "gemini",
+            family: "gemini",
+            families: ["gemini"],
+            parameter_size: "",
+            quantization_level: "",
+          },
+        })),
+      });
+    });
+    app.get("/api/version", (req, res) => {
+      res.status(200).json({ version: SERVER_VERSION });
+    });
+    app.post("/api/chat", (req, res) => {
+      this.requestHandler.processOllamaRequest(req, res, "chat");
+    });
+    app.post("/api/generate", (req, res) => {
+      this.requestHandler.processOllamaRequest(req, res, "generate");
+    });
     app.post("/v1/chat/completions", (req, res) => {
       this.requestHandler.processOpenAIRequest(req, res);
     });
+    app.post("/v1/completions", (req, res) => {
+      this.requestHandler.processOpenAICompletionRequest(req, res);
+    });
+    app.post("/v1/embeddings", (req, res) => {
+      this.requestHandler.processOpenAIEmbeddingRequest(req, res);
+    });
+    app.post("/v1/messages", (req, res) => {
+      this.requestHandler.processAnthropicRequest(req, res);
+    });
+    app.post("/v1/responses", (req, res) => {
+      this.requestHandler.processResponsesRequest(req, res);
+    });
+    app.get("/v1/responses/:id", (req, res) => {
+      const stored = this.requestHandler.responseStore.get(req.params.id);
+      if (!stored) {
+        return this.requestHandler._sendErrorResponse(
+          res,
+          404,
+          `Response '${req.params.id}' not found.`
+        );
+      }
+      res.status(200).json(stored.response);
+    });
+    app.post("/v1/images/generations", (req, res) => {
+      this.requestHandler.processOpenAIImageRequest(req, res, false);
+    });
+    const parseImageFields = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: this.config.maxImageUploadSizeMB * 1024 * 1024 },
+    }).fields([
+      { name: "image", maxCount: 16 },
+      { name: "image[]", maxCount: 16 },
+      { name: "mask", maxCount: 1 },
+    ]);
+    // multer 的错误（文件过大、字段名不对等）以 JSON 错误返回，而不是 Express 默认的 HTML 500
+    const imageUpload = (req, res, next) =>
+      parseImageFields(req, res, (error) => {
+        if (!error) return next();
+        this.logger.warn(`[Adapter] 图片上传解析失败: ${error.message}`);
+        this.requestHandler._sendErrorResponse(
+          res,
+          error.code === "LIMIT_FILE_SIZE" ? 413 : 400,
+          error.code === "LIMIT_FILE_SIZE"
+            ? `Image file exceeds the ${this.config.maxImageUploadSizeMB} MB limit.`
+            : `Invalid image upload: ${error.message}`
+        );
+      });
+    app.post("/v1/images/edits", imageUpload, (req, res) => {
+      this.requestHandler.processOpenAIImageRequest(req, res, true);
+    });
     app.all(/(.*)/, (req, res) => {
       this.requestHandler.processRequest(req, res);
     });
@@ -2441,15 +6769,161 @@ class ProxyServerSystem extends EventEmitter {
     return app;
   }
 
-  async _startWebSocketServer() {
-    this.wsServer = new WebSocket.Server({
-      port: this.config.wsPort,
-      host: this.config.host,
+  _startHeartbeat() {
+    if (this.config.heartbeatInterval <= 0) {
+      this.logger.info("[System] 浏览器心跳检测已禁用。");
+      return;
+    }
+    this.connectionRegistry.startHeartbeat(
+      this.config.heartbeatInterval * 1000,
+      this.config.heartbeatMaxMissed
+    );
+    // 连接无响应或缓冲期后确认丢失时立即重建浏览器，而不是等下一个用户请求才发现
+    const recover = (reason) => {
+      if (this.connectionRegistry.hasActiveConnections()) return;
+      this.requestHandler.recoverBrowser(reason);
+    };
+    this.connectionRegistry.on("connectionUnhealthy", () =>
+      recover("浏览器页面心跳无响应！可能已卡死。")
+    );
+    this.connectionRegistry.on("connectionLost", () =>
+      recover("浏览器WebSocket连接丢失且未重连。")
+    );
+  }
+
+  _startModelDiscovery() {
+    if (!this.config.modelDiscovery) {
+      this.logger.info("[System] 模型自动发现已禁用，使用 models.json。");
+      return;
+    }
+    // 每次浏览器（重新）连接并完成握手后都刷新一次，换账号后可用模型可能不同
+    this.on("browserReady", () => {
+      this.requestHandler.refreshModelCatalog();
+    });
+    if (this.config.modelRefreshInterval > 0) {
+      this.modelRefreshTimer = setInterval(() => {
+        if (this.connectionRegistry.hasActiveConnections()) {
+          this.requestHandler.refreshModelCatalog();
+        }
+      }, this.config.modelRefreshInterval * 1000);
+      this.modelRefreshTimer.unref();
+    }
+  }
+
+  _handleClientHello(ws, address, message) {
+    if (
+      message?.event_type !== "hello" ||
+      !this.browserManager.verifyConnectionToken(message.token)
+    ) {
+      this.logger.warn(
+        `[Server] 拒绝未通过认证的WebSocket连接 (来自: ${address})`
+      );
+      // 令牌错误重连也无济于事，与协议不兼容一样用 4001 让客户端停止重连
+      ws.close(4001, "unauthorized");
+      return;
+    }
+    if (message.protocol_version !== PROTOCOL_VERSION) {
+      const reason = `protocol version ${message.protocol_version} is not supported (server: ${PROTOCOL_VERSION})`;
+      this.logger.error(
+        `[Server] 拒绝不兼容的浏览器脚本 (来自: ${address}, 脚本版本: ${
+          message.script_build || "未知"
+        }): ${reason}`
+      );
+      ws.send(
+        JSON.stringify({
+          event_type: "welcome",
+          accepted: false,
+          protocol_version: PROTOCOL_VERSION,
+          reason: reason,
+        })
+      );
+      // 4001：协议不兼容，客户端收到后不应再重连
+      ws.close(4001, "incompatible protocol");
+      return;
+    }
+
+    const clientFeatures = Array.isArray(message.features)
+      ? message.features
+      : [];
+    const features = SERVER_FEATURES.filter((f) => clientFeatures.includes(f));
+    this.connectionRegistry.addConnection(ws, {
+      address: address,
+      protocolVersion: message.protocol_version,
+      scriptBuild: message.script_build || null,
+      accountIndex: message.account_index ?? null,
+      features: features,
     });
+    const info = this.connectionRegistry.getConnectionInfo(ws);
+    ws.send(
+      JSON.stringify({
+        event_type: "welcome",
+        accepted: true,
+        protocol_version: PROTOCOL_VERSION,
+        connection_id: info.id,
+        features: features,
+        heartbeat:
+          features.includes("heartbeat") && this.config.heartbeatInterval > 0
+            ? {
+                interval_ms: this.config.heartbeatInterval * 1000,
+                max_missed: this.config.heartbeatMaxMissed,
+              }
+            : null,
+      })
+    );
+    if (
+      info.accountIndex !== null &&
+      info.accountIndex !== this.browserManager.currentAuthIndex
+    ) {
+      this.logger.warn(
+        `[Server] 浏览器客户端 #${info.id} 报告的账号 #${info.accountIndex} 与当前账号 #${this.browserManager.currentAuthIndex} 不一致。`
+      );
+    }
+    this.emit("browserReady", ws);
+  }
+
+  async _startWebSocketServer() {
+    if (this.config.wsPath) {
+      // 单端口部署：在 HTTP 服务器上按路径接管 upgrade 请求，其余路径一律拒绝
+      this.wsServer = new WebSocket.Server({ noServer: true });
+      this.httpServer.on("upgrade", (req, socket, head) => {
+        const { pathname } = new URL(req.url, "http://localhost");
+        if (pathname !== this.config.wsPath) {
+          socket.destroy();
+          return;
+        }
+        this.wsServer.handleUpgrade(req, socket, head, (ws) =>
+          this.wsServer.emit("connection", ws, req)
+        );
+      });
+      this.logger.info(
+        `[System] WebSocket服务已挂载到HTTP端口 ${this.config.httpPort} 的路径 ${this.config.wsPath}`
+      );
+    } else {
+      this.wsServer = new WebSocket.Server({
+        port: this.config.wsPort,
+        host: this.config.host,
+      });
+    }
     this.wsServer.on("connection", (ws, req) => {
-      this.connectionRegistry.addConnection(ws, {
-        address: req.socket.remoteAddress,
+      const address = req.socket.remoteAddress;
+      // 连接建立后必须先发送 hello（携带注入的令牌和客户端信息），握手完成前不参与任何请求路由
+      const authTimer = setTimeout(() => {
+        this.logger.warn(
+          `[Server] WebSocket连接未在规定时间内完成握手，已断开 (来自: ${address})`
+        );
+        ws.close(1008, "handshake timeout");
+      }, 10000);
+      ws.once("message", (data) => {
+        clearTimeout(authTimer);
+        let message = null;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (e) {
+          // 非 JSON 消息按未认证处理
+        }
+        this._handleClientHello(ws, address, message);
       });
+      ws.on("close", () => clearTimeout(authTimer));
     });
   }
 }
@@ -2473,5 +6947,12 @@ if (require.main === module) {
   initializeServer();
 }
 
-module.exports = { ProxyServerSystem, BrowserManager, initializeServer };
+module.exports = {
+  ProxyServerSystem,
+  BrowserManager,
+  ConnectionRegistry,
+  RequestHandler,
+  SSEParser,
+  initializeServer,
+};
 